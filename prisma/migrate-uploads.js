@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../src/config/database');
+const storage = require('../src/config/storage');
+const { saveAvatar, LEGACY_UPLOAD_DIR } = require('../src/services/avatarService');
+const { getExportStorageKey } = require('../src/services/dataExportService');
+
+// Moves avatars written to public/uploads and data export archives left in
+// the temp dir into the configured storage driver.
+// Safe to re-run: rows that already have storage keys are skipped.
+// Usage: npm run storage:migrate-uploads [-- --delete-local]
+const deleteLocal = process.argv.includes('--delete-local');
+
+async function migrateAvatars() {
+    console.log(`📦 Migrating uploaded avatars to ${storage.driverName} storage...`);
+
+    const users = await prisma.user.findMany({
+        where: { avatarKey: null, profilePictureUrl: { startsWith: '/uploads/' } },
+        select: { id: true, profilePictureUrl: true, profileThumbnailUrl: true },
+    });
+
+    let migrated = 0;
+    let missing = 0;
+    let failed = 0;
+
+    for (const user of users) {
+        const legacyFiles = [user.profilePictureUrl, user.profileThumbnailUrl]
+            .filter((url) => url?.startsWith('/uploads/'))
+            .map((url) => path.join(LEGACY_UPLOAD_DIR, path.basename(url)));
+
+        if (!fs.existsSync(legacyFiles[0])) {
+            console.warn(`⚠️ ${user.id}: ${user.profilePictureUrl} not found, clearing it`);
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { profilePictureUrl: null, profileThumbnailUrl: null },
+            });
+            missing++;
+            continue;
+        }
+
+        try {
+            // Re-run the upload pipeline so older uploads get the same sizes and stripped metadata
+            const { avatarKey, avatarThumbnailKey } = await saveAvatar(user.id, fs.readFileSync(legacyFiles[0]));
+
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { avatarKey, avatarThumbnailKey, profilePictureUrl: null, profileThumbnailUrl: null },
+            });
+
+            if (deleteLocal) {
+                legacyFiles.forEach((file) => fs.rmSync(file, { force: true }));
+            }
+            migrated++;
+        } catch (error) {
+            console.error(`❌ ${user.id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`✅ Migrated ${migrated} avatars (${missing} missing files cleared, ${failed} failed)`);
+    if (!deleteLocal && migrated > 0) {
+        console.log('ℹ️ Local files were kept; re-run with --delete-local to remove them');
+    }
+}
+
+async function migrateExports() {
+    console.log(`📦 Migrating data export archives to ${storage.driverName} storage...`);
+
+    const exports = await prisma.dataExport.findMany({
+        where: { filePath: { not: null } },
+        select: { id: true, userId: true, status: true, filePath: true },
+    });
+
+    let migrated = 0;
+    let expired = 0;
+    let failed = 0;
+
+    for (const dataExport of exports) {
+        // Only ready archives are still downloadable; anything else just loses the stale path
+        if (dataExport.status !== 'ready' || !fs.existsSync(dataExport.filePath)) {
+            if (dataExport.status === 'ready') {
+                console.warn(`⚠️ Export ${dataExport.id}: ${dataExport.filePath} not found, marking it expired`);
+            }
+            await prisma.dataExport.update({
+                where: { id: dataExport.id },
+                data: { filePath: null, ...(dataExport.status === 'ready' && { status: 'expired' }) },
+            });
+            expired++;
+            continue;
+        }
+
+        try {
+            const storageKey = getExportStorageKey(dataExport);
+            await storage.putObject(storageKey, fs.readFileSync(dataExport.filePath), { contentType: 'application/zip' });
+
+            await prisma.dataExport.update({
+                where: { id: dataExport.id },
+                data: { storageKey, filePath: null },
+            });
+
+            // Temp archives are not kept for anything else
+            fs.rmSync(dataExport.filePath, { force: true });
+            migrated++;
+        } catch (error) {
+            console.error(`❌ Export ${dataExport.id}: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`✅ Migrated ${migrated} export archives (${expired} expired or stale cleared, ${failed} failed)`);
+}
+
+async function main() {
+    await migrateAvatars();
+    await migrateExports();
+}
+
+main()
+    .catch((e) => {
+        console.error('Upload migration error:', e);
+        process.exit(1);
+    })
+    .finally(async () => {
+        await prisma.$disconnect();
+    });
@@ -1,5 +1,8 @@
 const prisma = require('../src/config/database');
 const bcrypt = require('bcryptjs');
+const { ensureFormerMemberUser } = require('../src/services/accountDeletionService');
+const { getOrCreateHandle } = require('../src/services/handleService');
+const { FORMER_MEMBER } = require('../src/utils/constants');
 
 async function main() {
     console.log('🌱 Seeding database...');
@@ -92,6 +95,40 @@ async function main() {
         console.log(`⚠️  CHANGE THIS PASSWORD IN PRODUCTION!`);
     }
 
+    // Placeholder owner for content of deleted accounts
+    await ensureFormerMemberUser();
+    console.log('✅ Ensured "Former member" placeholder account');
+
+    // Backfill device bans recorded before the BannedDevice table existed
+    const legacyBans = await prisma.auditLog.findMany({
+        where: { action: 'permanent_ban' },
+        select: { moderatorId: true, targetUserId: true, reason: true, metadata: true },
+    });
+    const legacyDeviceBans = legacyBans
+        .filter((log) => log.metadata?.deviceId)
+        .map((log) => ({
+            deviceId: log.metadata.deviceId,
+            userId: log.targetUserId,
+            bannedBy: log.moderatorId,
+            reason: log.reason,
+        }));
+    if (legacyDeviceBans.length > 0) {
+        const { count } = await prisma.bannedDevice.createMany({ data: legacyDeviceBans, skipDuplicates: true });
+        if (count > 0) console.log(`✅ Backfilled ${count} device bans`);
+    }
+
+    // Give accounts created before handles existed one to be mentioned by
+    const usersWithoutHandle = await prisma.user.findMany({
+        where: { handle: null, id: { not: FORMER_MEMBER.USER_ID } },
+        select: { id: true },
+    });
+    for (const user of usersWithoutHandle) {
+        await getOrCreateHandle(user.id);
+    }
+    if (usersWithoutHandle.length > 0) {
+        console.log(`✅ Assigned handles to ${usersWithoutHandle.length} users`);
+    }
+
     console.log('🌱 Seeding complete!');
 }
 
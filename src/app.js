@@ -4,6 +4,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const { apiLimiter } = require('./middleware/rateLimiter');
+const jwtKeys = require('./config/jwtKeys');
+const storage = require('./config/storage');
 
 // Route imports
 const authRoutes = require('./routes/auth');
@@ -13,6 +15,9 @@ const matchRoutes = require('./routes/matches');
 const ventRoutes = require('./routes/vents');
 const reportRoutes = require('./routes/reports');
 const subscriptionRoutes = require('./routes/subscriptions');
+const exportRoutes = require('./routes/exports');
+const fileRoutes = require('./routes/files');
+const wellbeingRoutes = require('./routes/wellbeing');
 
 // Admin route imports
 const adminAuthRoutes = require('./routes/admin/auth');
@@ -22,9 +27,14 @@ const adminRoomRoutes = require('./routes/admin/rooms');
 const adminPromptRoutes = require('./routes/admin/prompts');
 const adminIntentRoutes = require('./routes/admin/intents');
 const adminAnalyticsRoutes = require('./routes/admin/analytics');
+const adminValuesRoutes = require('./routes/admin/values');
+const adminAvatarRoutes = require('./routes/admin/avatars');
 
 const app = express();
 
+// Railway terminates TLS at a proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -59,7 +69,7 @@ app.use('/api/', apiLimiter);
 // Serve admin panel static files
 app.use('/admin', express.static(path.join(__dirname, '..', 'public', 'admin')));
 
-// Serve user uploads
+// Serve avatars uploaded before object storage (until storage:migrate-uploads has run)
 app.use('/uploads', express.static(path.join(__dirname, '..', 'public', 'uploads')));
 
 // Root redirect to admin
@@ -74,8 +84,10 @@ app.get('/health', (req, res) => {
 app.get('/health/debug', async (req, res) => {
     const checks = {
         DATABASE_URL: !!process.env.DATABASE_URL ? 'SET' : 'MISSING',
-        JWT_SECRET: !!process.env.JWT_SECRET ? 'SET' : 'MISSING',
+        JWT_KEYS: jwtKeys.access.signingKid ? `${jwtKeys.access.kids.length} key(s), signing with ${jwtKeys.access.signingKid}` : 'MISSING',
+        JWT_REFRESH_KEYS: jwtKeys.refresh.signingKid ? `${jwtKeys.refresh.kids.length} key(s), signing with ${jwtKeys.refresh.signingKid}` : 'MISSING',
         REDIS_URL: !!process.env.REDIS_URL ? 'SET' : 'MISSING',
+        STORAGE_DRIVER: storage.driverName === 's3' ? `s3 (${process.env.S3_BUCKET ? 'bucket SET' : 'bucket MISSING'})` : storage.driverName,
         NODE_ENV: process.env.NODE_ENV || 'not set',
         nodeVersion: process.version,
     };
@@ -98,6 +110,9 @@ app.use('/api/matches', matchRoutes);
 app.use('/api/vents', ventRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/wellbeing', wellbeingRoutes);
 
 // ─── Admin Routes ────────────────────────────
 app.use('/api/admin/auth', adminAuthRoutes);
@@ -107,6 +122,8 @@ app.use('/api/admin/rooms', adminRoomRoutes);
 app.use('/api/admin/prompts', adminPromptRoutes);
 app.use('/api/admin/intents', adminIntentRoutes);
 app.use('/api/admin/analytics', adminAnalyticsRoutes);
+app.use('/api/admin/values', adminValuesRoutes);
+app.use('/api/admin/avatars', adminAvatarRoutes);
 
 // 404 handler
 app.use((req, res) => {
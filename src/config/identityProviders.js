@@ -0,0 +1,21 @@
+/**
+ * Third-party sign-in providers (Sign in with Apple / Google)
+ * JWKS URLs and issuers are configurable so a local JWKS stand-in can be used in tests.
+ * Audiences are the app's client IDs (comma-separated: iOS, Android, web...).
+ */
+const splitList = (value) => (value || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+const identityProviders = {
+    apple: {
+        jwksUrl: process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+        issuers: splitList(process.env.APPLE_ISSUER || 'https://appleid.apple.com'),
+        audiences: splitList(process.env.APPLE_CLIENT_IDS),
+    },
+    google: {
+        jwksUrl: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+        issuers: splitList(process.env.GOOGLE_ISSUER || 'https://accounts.google.com,accounts.google.com'),
+        audiences: splitList(process.env.GOOGLE_CLIENT_IDS),
+    },
+};
+
+module.exports = identityProviders;
@@ -0,0 +1,106 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * JWT keyrings for access tokens (users + moderators) and refresh tokens.
+ *
+ * JWT_KEYS / JWT_REFRESH_KEYS hold comma-separated kid:secret pairs, e.g.
+ *   JWT_KEYS=2025-02:4f9c...,2024-11:a81e...
+ * Tokens are signed with JWT_SIGNING_KID / JWT_REFRESH_SIGNING_KID (default: first key)
+ * and carry it in the `kid` header. Any listed key is accepted when verifying.
+ *
+ * Rotating without logging anyone out:
+ *   1. Add the new key to the list (keep signing with the old one) and deploy
+ *   2. Point the signing kid at the new key and deploy
+ *   3. After the longest token lifetime (refresh expiry), remove the old key
+ *
+ * Without a keyring the single JWT_SECRET / JWT_REFRESH_SECRET is used under kid
+ * "default", so when moving to JWT_KEYS list it as default:<old secret> at first.
+ * Tokens with no kid (issued before keyrings) verify against the legacy secret while it is set.
+ *
+ * Every token is typed: `aud` says who it is for (app or admin) and a `typ` claim
+ * says what it is (access, refresh, 2FA challenge). Both are required to sign and
+ * are checked on verify, so one kind of token can never stand in for another.
+ */
+const ALGORITHM = 'HS256';
+
+function parseKeys(value) {
+    const keys = new Map();
+    for (const entry of (value || '').split(',').map((v) => v.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0 || separator === entry.length - 1) {
+            throw new Error(`Invalid JWT key entry "${entry.slice(0, separator > 0 ? separator : 8)}…", expected kid:secret`);
+        }
+        keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+    }
+    return keys;
+}
+
+function createKeyring(name, keysVar, signingKidVar, legacyVar) {
+    const legacySecret = process.env[legacyVar] || null;
+    const keys = parseKeys(process.env[keysVar]);
+
+    if (keys.size === 0 && legacySecret) {
+        keys.set('default', legacySecret);
+    }
+
+    const signingKid = process.env[signingKidVar] || keys.keys().next().value || null;
+    if (signingKid && !keys.has(signingKid)) {
+        throw new Error(`${signingKidVar} "${signingKid}" is not in ${keysVar}`);
+    }
+
+    return {
+        kids: [...keys.keys()],
+        signingKid,
+
+        /**
+         * Sign a token of the given audience and type with the current signing key
+         */
+        sign(payload, { audience, typ, ...options }) {
+            if (!audience || !typ) {
+                throw new Error('JWT audience and typ are required');
+            }
+            if (!signingKid) {
+                throw new Error(`No ${name} JWT signing key configured (set ${keysVar} or ${legacyVar})`);
+            }
+            return jwt.sign({ ...payload, typ }, keys.get(signingKid), {
+                ...options,
+                audience,
+                algorithm: ALGORITHM,
+                keyid: signingKid,
+            });
+        },
+
+        /**
+         * Verify against the key named by the token's kid, and check audience and type.
+         * Throws the usual jsonwebtoken errors (JsonWebTokenError, TokenExpiredError).
+         */
+        verify(token, { audience, typ, ...options }) {
+            if (!audience || !typ) {
+                throw new Error('JWT audience and typ are required');
+            }
+
+            const decoded = jwt.decode(token, { complete: true });
+            if (!decoded) {
+                throw new jwt.JsonWebTokenError('jwt malformed');
+            }
+
+            const { kid } = decoded.header;
+            const secret = kid ? keys.get(kid) : legacySecret;
+            if (!secret) {
+                throw new jwt.JsonWebTokenError('unknown signing key');
+            }
+
+            const claims = jwt.verify(token, secret, { ...options, audience, algorithms: [ALGORITHM] });
+            if (claims.typ !== typ) {
+                throw new jwt.JsonWebTokenError(`jwt typ invalid. expected: ${typ}`);
+            }
+
+            return claims;
+        },
+    };
+}
+
+module.exports = {
+    access: createKeyring('access', 'JWT_KEYS', 'JWT_SIGNING_KID', 'JWT_SECRET'),
+    refresh: createKeyring('refresh', 'JWT_REFRESH_KEYS', 'JWT_REFRESH_SIGNING_KID', 'JWT_REFRESH_SECRET'),
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transport selection
+// MAIL_TRANSPORT=smtp    → real delivery via SMTP_* settings
+// MAIL_TRANSPORT=file    → writes .eml files to MAIL_FILE_DIR (dev/tests)
+// MAIL_TRANSPORT=console → logs messages to stdout (default without SMTP)
+const transportName = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const from = process.env.MAIL_FROM || 'IronRoom <no-reply@ironroom.app>';
+
+let transport;
+
+if (transportName === 'smtp') {
+    transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+    });
+} else if (transportName === 'file') {
+    transport = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix',
+    });
+} else {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+}
+
+/**
+ * Send an email through the configured transport
+ */
+async function sendMail({ to, subject, text, html }) {
+    const info = await transport.sendMail({ from, to, subject, text, html });
+
+    if (transportName === 'file') {
+        const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'ironroom-mail');
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        const safeTo = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+        fs.writeFileSync(file, info.message);
+        console.log(`📧 Email to ${to} written to ${file}`);
+    } else if (transportName !== 'smtp') {
+        console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    }
+
+    return info;
+}
+
+module.exports = { sendMail, transportName };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+const jwtKeys = require('./jwtKeys');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+
+// Object storage selection
+// STORAGE_DRIVER=local → files under STORAGE_LOCAL_DIR, served by GET /api/files/* with a signed token
+// STORAGE_DRIVER=s3    → any S3-compatible bucket (AWS, R2, MinIO) via S3_* settings
+// Objects are private in both cases; clients only ever get time-limited signed URLs.
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+const localRoot = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'storage'));
+
+let s3;
+if (driverName === 's3') {
+    s3 = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        // Only send checksums when an operation needs them; not every S3-compatible store supports them
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED',
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined, // Fall back to the default AWS credential chain
+    });
+}
+const bucket = process.env.S3_BUCKET;
+
+/**
+ * Resolve a key to a path inside the local storage root (rejects traversal)
+ */
+function resolveLocalPath(key) {
+    const filePath = path.resolve(localRoot, key);
+    if (!filePath.startsWith(localRoot + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+/**
+ * Store an object
+ */
+async function putObject(key, body, { contentType } = {}) {
+    if (driverName === 's3') {
+        await s3.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        return;
+    }
+
+    const filePath = resolveLocalPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body, { mode: 0o600 });
+}
+
+/**
+ * Read an object into a Buffer
+ */
+async function getObject(key) {
+    if (driverName === 's3') {
+        const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await Body.transformToByteArray());
+    }
+
+    return fs.promises.readFile(resolveLocalPath(key));
+}
+
+/**
+ * Delete an object (missing objects are ignored)
+ */
+async function deleteObject(key) {
+    if (!key) return;
+
+    if (driverName === 's3') {
+        await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        return;
+    }
+
+    await fs.promises.unlink(resolveLocalPath(key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+/**
+ * Time-limited URL for reading an object.
+ * downloadName makes browsers save it as an attachment with that filename.
+ */
+async function getSignedUrl(key, { expiresIn = 3600, downloadName } = {}) {
+    if (driverName === 's3') {
+        return presign(s3, new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentDisposition: downloadName ? `attachment; filename="${downloadName}"` : undefined,
+        }), { expiresIn });
+    }
+
+    const token = jwtKeys.access.sign(
+        { key, ...(downloadName && { downloadName }) },
+        { audience: TOKEN_AUDIENCES.APP, typ: TOKEN_TYPES.FILE_DOWNLOAD, expiresIn }
+    );
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${process.env.API_URL || ''}/api/files/${encodedKey}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    driverName,
+    putObject,
+    getObject,
+    deleteObject,
+    getSignedUrl,
+    resolveLocalPath,
+};
@@ -0,0 +1,40 @@
+const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+
+/**
+ * Admin Authentication Middleware
+ * Verifies a moderator access token and attaches the moderator to the request.
+ * User tokens and 2FA challenge tokens are rejected by audience/type.
+ */
+const adminAuth = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            return res.status(401).json({ error: 'Auth required' });
+        }
+
+        const decoded = jwtKeys.access.verify(authHeader.split(' ')[1], {
+            audience: TOKEN_AUDIENCES.ADMIN,
+            typ: TOKEN_TYPES.ACCESS,
+        });
+
+        const moderator = await prisma.moderator.findUnique({
+            where: { id: decoded.moderatorId },
+        });
+
+        if (!moderator || !moderator.isActive) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        req.moderator = moderator;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        next(error);
+    }
+};
+
+module.exports = { adminAuth };
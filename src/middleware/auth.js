@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const { touchSession, checkTokenSession } = require('../services/sessionService');
+const { isPermanentlyBanned } = require('../services/deviceBanService');
+const { getOnboardingState } = require('../services/onboardingService');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
 
 /**
  * JWT Authentication Middleware
@@ -13,7 +17,10 @@ const authenticate = async (req, res, next) => {
         }
 
         const token = authHeader.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = jwtKeys.access.verify(token, {
+            audience: TOKEN_AUDIENCES.APP,
+            typ: TOKEN_TYPES.ACCESS,
+        });
 
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
@@ -28,6 +35,8 @@ const authenticate = async (req, res, next) => {
                 suspendedUntil: true,
                 isVerified: true,
                 agreedToValues: true,
+                sessionsRevokedAt: true,
+                deletionScheduledFor: true,
             },
         });
 
@@ -35,6 +44,20 @@ const authenticate = async (req, res, next) => {
             return res.status(401).json({ error: 'User not found' });
         }
 
+        const { session, error: sessionError } = await checkTokenSession(decoded, user);
+        if (sessionError) {
+            return res.status(401).json({ error: sessionError });
+        }
+
+        if (session) {
+            await touchSession(session, req);
+            req.sessionId = session.id;
+        }
+
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
         if (user.isSuspended) {
             if (user.suspendedUntil && new Date() < user.suspendedUntil) {
                 return res.status(403).json({
@@ -64,13 +87,34 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Middleware to ensure account is fully active (completed onboarding/subscription)
+ * Middleware to ensure onboarding is complete (verified, values, intents, subscription)
+ * Responds with the next required step so clients know what to show
  */
-const requireActive = (req, res, next) => {
-    if (!req.user.isActive) {
-        return res.status(403).json({ error: 'Account is deactivated or setup incomplete' });
+const requireOnboarded = async (req, res, next) => {
+    try {
+        if (req.user.deletionScheduledFor) {
+            return res.status(403).json({
+                error: 'This account is scheduled for deletion. Cancel the deletion to continue using IronRoom.',
+                code: 'DELETION_PENDING',
+                deletionScheduledFor: req.user.deletionScheduledFor,
+            });
+        }
+
+        const onboarding = await getOnboardingState(req.user);
+
+        if (!onboarding.isComplete) {
+            return res.status(403).json({
+                error: 'Account setup incomplete',
+                code: 'ONBOARDING_INCOMPLETE',
+                nextStep: onboarding.nextStep,
+                steps: onboarding.steps,
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
     }
-    next();
 };
 
 /**
@@ -85,4 +129,4 @@ const requireNotSuspended = (req, res, next) => {
     next();
 };
 
-module.exports = { authenticate, requireActive, requireNotSuspended };
+module.exports = { authenticate, requireOnboarded, requireNotSuspended };
@@ -1,25 +1,30 @@
 const prisma = require('../config/database');
 
+/**
+ * Latest subscription that still grants access (3-day grace period after expiry)
+ */
+const findActiveSubscription = (userId) => {
+    const gracePeriodDays = 3;
+    const graceDate = new Date();
+    graceDate.setDate(graceDate.getDate() - gracePeriodDays);
+
+    return prisma.subscription.findFirst({
+        where: {
+            userId,
+            isActive: true,
+            expiryDate: { gte: graceDate },
+        },
+        orderBy: { expiryDate: 'desc' },
+    });
+};
+
 /**
  * Subscription Guard Middleware
  * Checks if user has an active subscription before allowing access
- * Grace period: 3 days after expiry
  */
 const requireSubscription = async (req, res, next) => {
     try {
-        const userId = req.user.id;
-        const gracePeriodDays = 3;
-        const graceDate = new Date();
-        graceDate.setDate(graceDate.getDate() - gracePeriodDays);
-
-        const activeSubscription = await prisma.subscription.findFirst({
-            where: {
-                userId,
-                isActive: true,
-                expiryDate: { gte: graceDate },
-            },
-            orderBy: { expiryDate: 'desc' },
-        });
+        const activeSubscription = await findActiveSubscription(req.user.id);
 
         if (!activeSubscription) {
             return res.status(402).json({
@@ -40,4 +45,4 @@ const requireSubscription = async (req, res, next) => {
     }
 };
 
-module.exports = { requireSubscription };
+module.exports = { requireSubscription, findActiveSubscription };
@@ -0,0 +1,26 @@
+const { getConsentState } = require('../services/valuesService');
+
+/**
+ * Values Consent Middleware
+ * Blocks posting/matching until the user has agreed to the latest
+ * published community values version
+ */
+const requireCurrentValues = async (req, res, next) => {
+    try {
+        const { current, hasAgreed } = await getConsentState(req.user);
+
+        if (!hasAgreed) {
+            return res.status(403).json({
+                error: 'Please review and agree to the updated community values',
+                code: 'VALUES_CONSENT_REQUIRED',
+                values: current,
+            });
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { requireCurrentValues };
@@ -1,31 +1,10 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const prisma = require('../../config/database');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { getBonusDays } = require('../../services/referralService');
 
 const router = express.Router();
 
-// Admin auth middleware (admin role required)
-const adminAuth = async (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-        const moderator = await prisma.moderator.findUnique({
-            where: { id: decoded.moderatorId },
-        });
-
-        if (!moderator || !moderator.isActive) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        req.moderator = moderator;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
-    }
-};
-
 router.use(adminAuth);
 
 /**
@@ -172,4 +151,64 @@ router.get('/matchmaking', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/admin/analytics/referrals
+ * Invite code usage and conversion (?days=30)
+ */
+router.get('/referrals', async (req, res, next) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        const [
+            usersWithInviteCodes,
+            totalSignups,
+            referredSignups,
+            convertedReferrals,
+            bonusesGranted,
+            topInviterCounts,
+        ] = await Promise.all([
+            prisma.user.count({ where: { inviteCode: { not: null } } }),
+            prisma.user.count({ where: { createdAt: { gte: since } } }),
+            prisma.referral.count({ where: { createdAt: { gte: since } } }),
+            // Cohort: referred signups in the period that went on to pay
+            prisma.referral.count({ where: { createdAt: { gte: since }, convertedAt: { not: null } } }),
+            prisma.referral.count({ where: { convertedAt: { gte: since } } }),
+            prisma.referral.groupBy({
+                by: ['inviterId'],
+                where: { createdAt: { gte: since } },
+                _count: { _all: true },
+                orderBy: { _count: { inviterId: 'desc' } },
+                take: 10,
+            }),
+        ]);
+
+        const inviters = await prisma.user.findMany({
+            where: { id: { in: topInviterCounts.map((r) => r.inviterId) } },
+            select: { id: true, displayName: true, inviteCode: true },
+        });
+        const inviterById = new Map(inviters.map((u) => [u.id, u]));
+
+        const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0) + '%';
+
+        res.json({
+            periodDays: days,
+            usersWithInviteCodes,
+            totalSignups,
+            referredSignups,
+            referredShareOfSignups: percent(referredSignups, totalSignups),
+            convertedReferrals,
+            conversionRate: percent(convertedReferrals, referredSignups),
+            bonusesGranted,
+            bonusDaysPerReferral: getBonusDays(),
+            topInviters: topInviterCounts.map((r) => ({
+                ...inviterById.get(r.inviterId),
+                signups: r._count._all,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
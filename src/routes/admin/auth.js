@@ -1,9 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const speakeasy = require('speakeasy');
-const QRCode = require('qrcode');
 const prisma = require('../../config/database');
+const jwtKeys = require('../../config/jwtKeys');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { generateTotpSecret, verifyTotp } = require('../../services/twoFactorService');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../../utils/constants');
 
 const router = express.Router();
 
@@ -33,10 +34,9 @@ router.post('/login', async (req, res, next) => {
         // If TOTP is enabled, require 2FA code
         if (moderator.isTotpEnabled) {
             // Return partial auth - client must provide TOTP code
-            const tempToken = jwt.sign(
-                { moderatorId: moderator.id, requires2fa: true },
-                process.env.JWT_SECRET,
-                { expiresIn: '5m' }
+            const tempToken = jwtKeys.access.sign(
+                { moderatorId: moderator.id },
+                { audience: TOKEN_AUDIENCES.ADMIN, typ: TOKEN_TYPES.TWO_FACTOR_CHALLENGE, expiresIn: '5m' }
             );
 
             return res.json({
@@ -46,10 +46,9 @@ router.post('/login', async (req, res, next) => {
         }
 
         // No 2FA yet — issue full token
-        const token = jwt.sign(
+        const token = jwtKeys.access.sign(
             { moderatorId: moderator.id, role: moderator.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '8h' }
+            { audience: TOKEN_AUDIENCES.ADMIN, typ: TOKEN_TYPES.ACCESS, expiresIn: '8h' }
         );
 
         res.json({
@@ -78,34 +77,31 @@ router.post('/verify-2fa', async (req, res, next) => {
             return res.status(400).json({ error: 'Temp token and TOTP code required' });
         }
 
-        const decoded = jwt.verify(tempToken, process.env.JWT_SECRET);
-        if (!decoded.requires2fa) {
-            return res.status(400).json({ error: 'Invalid temp token' });
+        let decoded;
+        try {
+            decoded = jwtKeys.access.verify(tempToken, {
+                audience: TOKEN_AUDIENCES.ADMIN,
+                typ: TOKEN_TYPES.TWO_FACTOR_CHALLENGE,
+            });
+        } catch (err) {
+            return res.status(401).json({ error: 'Invalid or expired temp token' });
         }
 
         const moderator = await prisma.moderator.findUnique({
             where: { id: decoded.moderatorId },
         });
 
-        if (!moderator) {
+        if (!moderator || !moderator.isActive) {
             return res.status(401).json({ error: 'Moderator not found' });
         }
 
-        const verified = speakeasy.totp.verify({
-            secret: moderator.totpSecret,
-            encoding: 'base32',
-            token: totpCode,
-            window: 1,
-        });
-
-        if (!verified) {
+        if (!verifyTotp(moderator.totpSecret, totpCode)) {
             return res.status(401).json({ error: 'Invalid 2FA code' });
         }
 
-        const token = jwt.sign(
+        const token = jwtKeys.access.sign(
             { moderatorId: moderator.id, role: moderator.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '8h' }
+            { audience: TOKEN_AUDIENCES.ADMIN, typ: TOKEN_TYPES.ACCESS, expiresIn: '8h' }
         );
 
         res.json({
@@ -127,34 +123,24 @@ router.post('/verify-2fa', async (req, res, next) => {
  * Generate TOTP secret and QR code for 2FA setup
  * Requires admin auth
  */
-router.post('/setup-2fa', async (req, res, next) => {
+router.post('/setup-2fa', adminAuth, async (req, res, next) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-        const moderator = await prisma.moderator.findUnique({
-            where: { id: decoded.moderatorId },
-        });
+        const { moderator } = req;
 
-        if (!moderator) return res.status(401).json({ error: 'Not found' });
-
-        const secret = speakeasy.generateSecret({
-            name: `IronRoom Admin (${moderator.email})`,
-            issuer: process.env.ADMIN_TOTP_ISSUER || 'IronRoom Admin',
-        });
+        const { secret, qrCode } = await generateTotpSecret(
+            `IronRoom Admin (${moderator.email})`,
+            process.env.ADMIN_TOTP_ISSUER || 'IronRoom Admin'
+        );
 
         // Save secret temporarily (will be confirmed on first successful verify)
         await prisma.moderator.update({
             where: { id: moderator.id },
-            data: { totpSecret: secret.base32 },
+            data: { totpSecret: secret },
         });
 
-        const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
-
         res.json({
-            secret: secret.base32,
-            qrCode: qrCodeUrl,
+            secret,
+            qrCode,
             message: 'Scan the QR code with your authenticator app, then confirm with /confirm-2fa',
         });
     } catch (error) {
@@ -166,30 +152,16 @@ router.post('/setup-2fa', async (req, res, next) => {
  * POST /api/admin/auth/confirm-2fa
  * Confirm 2FA setup with a valid code
  */
-router.post('/confirm-2fa', async (req, res, next) => {
+router.post('/confirm-2fa', adminAuth, async (req, res, next) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
         const { totpCode } = req.body;
+        const { moderator } = req;
 
-        const moderator = await prisma.moderator.findUnique({
-            where: { id: decoded.moderatorId },
-        });
-
-        if (!moderator?.totpSecret) {
+        if (!moderator.totpSecret) {
             return res.status(400).json({ error: 'Setup 2FA first' });
         }
 
-        const verified = speakeasy.totp.verify({
-            secret: moderator.totpSecret,
-            encoding: 'base32',
-            token: totpCode,
-            window: 1,
-        });
-
-        if (!verified) {
+        if (!verifyTotp(moderator.totpSecret, totpCode)) {
             return res.status(400).json({ error: 'Invalid code. Try again.' });
         }
 
@@ -208,13 +180,9 @@ router.post('/confirm-2fa', async (req, res, next) => {
  * POST /api/admin/auth/create
  * Create a new moderator account (admin only)
  */
-router.post('/create', async (req, res, next) => {
+router.post('/create', adminAuth, async (req, res, next) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-        if (decoded.role !== 'admin') {
+        if (req.moderator.role !== 'admin') {
             return res.status(403).json({ error: 'Admin access required' });
         }
 
@@ -0,0 +1,139 @@
+const express = require('express');
+const prisma = require('../../config/database');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { NOTIFICATION_CATEGORIES, AVATAR_SUBMISSION_STATUS } = require('../../utils/constants');
+const { sendPushNotification } = require('../../services/notificationService');
+const {
+    approveAvatarSubmission,
+    rejectAvatarSubmission,
+    getSubmissionUrl,
+} = require('../../services/avatarService');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+/**
+ * GET /api/admin/avatars
+ * Avatar review queue (pending by default, oldest first)
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+        if (!AVATAR_SUBMISSION_STATUS.includes(status)) {
+            return res.status(400).json({ error: `Invalid status. Use: ${AVATAR_SUBMISSION_STATUS.join(', ')}` });
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const where = { status };
+
+        const [submissions, total] = await Promise.all([
+            prisma.avatarSubmission.findMany({
+                where,
+                skip,
+                take: parseInt(limit),
+                orderBy: { createdAt: status === 'pending' ? 'asc' : 'desc' },
+                select: {
+                    id: true,
+                    status: true,
+                    rejectionReason: true,
+                    reviewedAt: true,
+                    createdAt: true,
+                    avatarKey: true,
+                    reviewedBy: { select: { id: true, name: true } },
+                    user: { select: { id: true, displayName: true, riskScore: true } },
+                },
+            }),
+            prisma.avatarSubmission.count({ where }),
+        ]);
+
+        // Only pending files are guaranteed to still exist
+        const withUrls = await Promise.all(submissions.map(async ({ avatarKey, ...submission }) => ({
+            ...submission,
+            imageUrl: submission.status === 'pending' ? await getSubmissionUrl({ avatarKey }) : null,
+        })));
+
+        res.json({
+            submissions: withUrls,
+            pagination: {
+                total,
+                page: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/avatars/:id/approve
+ * Approve an avatar; it replaces the user's current picture
+ */
+router.post('/:id/approve', async (req, res, next) => {
+    try {
+        const submission = await approveAvatarSubmission(req.params.id, req.moderator.id);
+
+        if (!submission) {
+            return res.status(409).json({ error: 'This avatar is not awaiting review' });
+        }
+
+        await prisma.auditLog.create({
+            data: {
+                moderatorId: req.moderator.id,
+                action: 'approve_avatar',
+                targetUserId: submission.userId,
+                metadata: { submissionId: submission.id },
+            },
+        });
+
+        res.json({ message: 'Avatar approved', submission });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/avatars/:id/reject
+ * Reject an avatar and notify the user
+ */
+router.post('/:id/reject', async (req, res, next) => {
+    try {
+        const { reason } = req.body || {};
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'Reason is required' });
+        }
+
+        const submission = await rejectAvatarSubmission(req.params.id, req.moderator.id, reason.trim());
+
+        if (!submission) {
+            return res.status(409).json({ error: 'This avatar is not awaiting review' });
+        }
+
+        await prisma.auditLog.create({
+            data: {
+                moderatorId: req.moderator.id,
+                action: 'reject_avatar',
+                targetUserId: submission.userId,
+                reason: submission.rejectionReason,
+                metadata: { submissionId: submission.id },
+            },
+        });
+
+        await sendPushNotification(submission.userId, {
+            category: NOTIFICATION_CATEGORIES.SAFETY,
+            title: 'Profile picture not approved',
+            body: `Your new profile picture wasn't approved: ${submission.rejectionReason}. Please choose another one.`,
+            data: { type: 'avatar_rejected', submissionId: submission.id },
+        });
+
+        res.json({ message: 'Avatar rejected', submission });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
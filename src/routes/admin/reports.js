@@ -1,31 +1,10 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const prisma = require('../../config/database');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { NOTIFICATION_CATEGORIES } = require('../../utils/constants');
 
 const router = express.Router();
 
-// Admin auth middleware
-const adminAuth = async (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-        const moderator = await prisma.moderator.findUnique({
-            where: { id: decoded.moderatorId },
-        });
-
-        if (!moderator || !moderator.isActive) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        req.moderator = moderator;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
-    }
-};
-
 router.use(adminAuth);
 
 /**
@@ -229,7 +208,11 @@ router.put('/:id/resolve', async (req, res, next) => {
             }
 
             if (action !== 'mark_safe') {
-                await notificationService.sendPushNotification(report.targetUserId, { title, body });
+                await notificationService.sendPushNotification(report.targetUserId, {
+                    category: NOTIFICATION_CATEGORIES.SAFETY,
+                    title,
+                    body,
+                });
             }
         }
 
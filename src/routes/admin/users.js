@@ -1,34 +1,20 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const prisma = require('../../config/database');
-const { SUSPENSION_DURATIONS, WARNINGS_AUTO_REVIEW_THRESHOLD, WARNINGS_REVIEW_WINDOW_DAYS } = require('../../utils/constants');
+const { adminAuth } = require('../../middleware/adminAuth');
+const {
+    SUSPENSION_DURATIONS,
+    WARNINGS_AUTO_REVIEW_THRESHOLD,
+    WARNINGS_REVIEW_WINDOW_DAYS,
+    NOTIFICATION_CATEGORIES,
+} = require('../../utils/constants');
 const { sendPushNotification } = require('../../services/notificationService');
 const { recalculateRiskScore, getRiskLevel } = require('../../services/riskScoringService');
+const { revokeAllUserTokens } = require('../../services/tokenService');
+const { getLockout, unlockAccount, listLockedAccounts } = require('../../services/loginThrottleService');
+const { banUserDevices } = require('../../services/deviceBanService');
 
 const router = express.Router();
 
-// Admin auth middleware
-const adminAuth = async (req, res, next) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader) return res.status(401).json({ error: 'Auth required' });
-
-        const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
-        const moderator = await prisma.moderator.findUnique({
-            where: { id: decoded.moderatorId },
-        });
-
-        if (!moderator || !moderator.isActive) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
-
-        req.moderator = moderator;
-        next();
-    } catch (error) {
-        return res.status(401).json({ error: 'Invalid token' });
-    }
-};
-
 router.use(adminAuth);
 
 /**
@@ -110,6 +96,97 @@ router.get('/high-risk', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/admin/users/lockouts
+ * Accounts currently locked after repeated failed logins
+ */
+router.get('/lockouts', async (req, res, next) => {
+    try {
+        const locked = await listLockedAccounts();
+
+        const users = await prisma.user.findMany({
+            where: { id: { in: locked.map((l) => l.userId) } },
+            select: { id: true, displayName: true, email: true, riskScore: true },
+        });
+        const usersById = new Map(users.map((u) => [u.id, u]));
+
+        res.json({
+            lockouts: locked
+                .filter((l) => usersById.has(l.userId))
+                .map((l) => ({ user: usersById.get(l.userId), lockedUntil: l.lockedUntil })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/users/device-bans
+ * List banned devices
+ */
+router.get('/device-bans', async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const [bans, total] = await Promise.all([
+            prisma.bannedDevice.findMany({
+                skip: (parseInt(page) - 1) * parseInt(limit),
+                take: parseInt(limit),
+                orderBy: { createdAt: 'desc' },
+                select: {
+                    id: true,
+                    deviceId: true,
+                    reason: true,
+                    createdAt: true,
+                    user: { select: { id: true, displayName: true } },
+                    moderator: { select: { name: true } },
+                },
+            }),
+            prisma.bannedDevice.count(),
+        ]);
+
+        res.json({
+            bans,
+            pagination: { total, page: parseInt(page), totalPages: Math.ceil(total / parseInt(limit)) },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/admin/users/device-bans/:banId
+ * Lift a device ban (admin only)
+ */
+router.delete('/device-bans/:banId', async (req, res, next) => {
+    try {
+        if (req.moderator.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required to lift device bans' });
+        }
+
+        const ban = await prisma.bannedDevice.findUnique({ where: { id: req.params.banId } });
+        if (!ban) {
+            return res.status(404).json({ error: 'Device ban not found' });
+        }
+
+        await prisma.bannedDevice.delete({ where: { id: ban.id } });
+
+        await prisma.auditLog.create({
+            data: {
+                moderatorId: req.moderator.id,
+                action: 'lift_device_ban',
+                targetUserId: ban.userId,
+                reason: req.body?.reason || 'Device ban lifted',
+                metadata: { deviceId: ban.deviceId },
+            },
+        });
+
+        res.json({ message: 'Device ban lifted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * GET /api/admin/users/:id
  * Get detailed user profile for moderation
@@ -178,8 +255,11 @@ router.get('/:id', async (req, res, next) => {
             },
         });
 
+        const loginLockout = await getLockout(user.id);
+
         res.json({
             user: { ...user, riskLevel: getRiskLevel(user.riskScore) },
+            loginLockout,
             warnings,
             reports,
             notes,
@@ -233,6 +313,7 @@ router.post('/:id/warn', async (req, res, next) => {
 
         // Send push notification to user
         await sendPushNotification(userId, {
+            category: NOTIFICATION_CATEGORIES.SAFETY,
             title: 'Community notice',
             body: warningMessage,
             data: { type: 'warning' },
@@ -338,6 +419,7 @@ router.post('/:id/suspend', async (req, res, next) => {
 
         // Send notification
         await sendPushNotification(userId, {
+            category: NOTIFICATION_CATEGORIES.SAFETY,
             title: 'Account suspended',
             body: `Your account has been temporarily suspended until ${suspendedUntil.toISOString()}`,
             data: { type: 'suspension' },
@@ -373,12 +455,6 @@ router.post('/:id/ban', async (req, res, next) => {
         const { reason } = req.body;
         const userId = req.params.id;
 
-        // Get device ID before banning
-        const user = await prisma.user.findUnique({
-            where: { id: userId },
-            select: { deviceId: true },
-        });
-
         await prisma.user.update({
             where: { id: userId },
             data: {
@@ -388,6 +464,12 @@ router.post('/:id/ban', async (req, res, next) => {
             },
         });
 
+        // Sign the user out everywhere
+        await revokeAllUserTokens(userId);
+
+        // Ban every device the user has signed in from
+        const deviceIds = await banUserDevices(userId, req.moderator.id, reason || 'Permanent ban');
+
         // Audit log
         await prisma.auditLog.create({
             data: {
@@ -395,11 +477,36 @@ router.post('/:id/ban', async (req, res, next) => {
                 action: 'permanent_ban',
                 targetUserId: userId,
                 reason: reason || 'Permanent ban',
-                metadata: { deviceId: user?.deviceId },
+                metadata: { deviceIds },
+            },
+        });
+
+        res.json({ message: 'User permanently banned', devicesBanned: deviceIds.length });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Lift a failed-login lockout
+ */
+router.post('/:id/unlock', async (req, res, next) => {
+    try {
+        const userId = req.params.id;
+
+        await unlockAccount(userId);
+
+        await prisma.auditLog.create({
+            data: {
+                moderatorId: req.moderator.id,
+                action: 'unlock_login',
+                targetUserId: userId,
+                reason: req.body?.reason || 'Login lockout lifted',
             },
         });
 
-        res.json({ message: 'User permanently banned' });
+        res.json({ message: 'Login lockout lifted' });
     } catch (error) {
         next(error);
     }
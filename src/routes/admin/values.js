@@ -0,0 +1,152 @@
+const express = require('express');
+const prisma = require('../../config/database');
+const { adminAuth } = require('../../middleware/adminAuth');
+const { publishValuesVersion } = require('../../services/valuesService');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+/**
+ * GET /api/admin/values
+ * List values versions (drafts first) with consent counts
+ */
+router.get('/', async (req, res, next) => {
+    try {
+        const versions = await prisma.valuesVersion.findMany({
+            orderBy: [{ version: { sort: 'desc', nulls: 'first' } }, { createdAt: 'desc' }],
+            include: {
+                createdBy: { select: { id: true, name: true } },
+                _count: { select: { consents: true } },
+            },
+        });
+        res.json({ versions });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/values/:id
+ * Get a values version
+ */
+router.get('/:id', async (req, res, next) => {
+    try {
+        const version = await prisma.valuesVersion.findUnique({
+            where: { id: req.params.id },
+            include: {
+                createdBy: { select: { id: true, name: true } },
+                _count: { select: { consents: true } },
+            },
+        });
+        if (!version) return res.status(404).json({ error: 'Values version not found' });
+
+        res.json({ version });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/values
+ * Create a draft values version
+ */
+router.post('/', async (req, res, next) => {
+    try {
+        const { title, content } = req.body;
+        if (!title || !content) return res.status(400).json({ error: 'Title and content required' });
+
+        const version = await prisma.valuesVersion.create({
+            data: { title: title.trim(), content, createdById: req.moderator.id },
+        });
+        res.status(201).json({ version });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/admin/values/:id
+ * Edit a draft (published versions are immutable)
+ */
+router.put('/:id', async (req, res, next) => {
+    try {
+        const { title, content } = req.body;
+
+        const existing = await prisma.valuesVersion.findUnique({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Values version not found' });
+        if (existing.publishedAt) {
+            return res.status(409).json({ error: 'Published versions cannot be edited, create a new draft' });
+        }
+
+        const updateData = {};
+        if (title) updateData.title = title.trim();
+        if (content) updateData.content = content;
+
+        const version = await prisma.valuesVersion.update({
+            where: { id: existing.id },
+            data: updateData,
+        });
+        res.json({ version });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/values/:id/publish
+ * Publish a draft (admin only). Every user must agree again before
+ * posting in rooms or matching.
+ */
+router.post('/:id/publish', async (req, res, next) => {
+    try {
+        if (req.moderator.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required to publish community values' });
+        }
+
+        const existing = await prisma.valuesVersion.findUnique({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Values version not found' });
+        if (existing.publishedAt) {
+            return res.status(409).json({ error: 'Version already published' });
+        }
+
+        const version = await publishValuesVersion(existing.id);
+
+        await prisma.auditLog.create({
+            data: {
+                moderatorId: req.moderator.id,
+                action: 'publish_values',
+                reason: req.body?.reason || `Published community values v${version.version}`,
+                metadata: { versionId: version.id, version: version.version },
+            },
+        });
+
+        res.json({ version });
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ error: 'Another version was published at the same time, try again' });
+        }
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/admin/values/:id
+ * Delete a draft
+ */
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const existing = await prisma.valuesVersion.findUnique({ where: { id: req.params.id } });
+        if (!existing) return res.status(404).json({ error: 'Values version not found' });
+        if (existing.publishedAt) {
+            return res.status(409).json({ error: 'Published versions cannot be deleted' });
+        }
+
+        await prisma.valuesVersion.delete({ where: { id: existing.id } });
+        res.json({ message: 'Draft deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,51 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
 const firebaseAdmin = require('../config/firebase');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { authenticate } = require('../middleware/auth');
+const { issueVerification, consumeVerification, getLatestVerification } = require('../services/verificationService');
+const {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+} = require('../services/mailService');
+const {
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllUserTokens,
+    isRevokedToken,
+} = require('../services/tokenService');
+const { startSession } = require('../services/sessionService');
+const { verifyIdentityToken } = require('../services/identityService');
+const {
+    getThrottleId,
+    getLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    notifyAccountLocked,
+} = require('../services/loginThrottleService');
+const { isDeviceBanned, isPermanentlyBanned } = require('../services/deviceBanService');
+const { getOrCreateHandle } = require('../services/handleService');
+const { getOnboardingState } = require('../services/onboardingService');
+const { getConsentState, recordConsent } = require('../services/valuesService');
+const { findInviter, recordReferral } = require('../services/referralService');
+const { verifySecondFactor, countRecoveryCodes, issueLoginChallenge } = require('../services/twoFactorService');
+const {
+    EMAIL_VERIFICATION,
+    PASSWORD_RESET_TTL_MS,
+    MIN_INTENT_TAGS,
+    TOKEN_AUDIENCES,
+    TOKEN_TYPES,
+} = require('../utils/constants');
 const {
     validateEmail,
     validatePassword,
     validatePhoneNumber,
+    normalizeDisplayName,
+    validateDisplayName,
     PASSWORD_REQUIREMENTS,
 } = require('../utils/validators');
 
@@ -23,12 +60,16 @@ router.use(authLimiter);
  */
 router.post('/signup', async (req, res, next) => {
     try {
-        const { email, password, displayName, identityMode, deviceId } = req.body;
+        const { email, password, displayName, identityMode, deviceId, inviteCode } = req.body;
 
         if (!email || !password || !displayName || !identityMode) {
             return res.status(400).json({ error: 'Email, password, display name, and identity mode are required' });
         }
 
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
         if (!validateEmail(email)) {
             return res.status(400).json({ error: 'Invalid email format' });
         }
@@ -37,8 +78,14 @@ router.post('/signup', async (req, res, next) => {
             return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
         }
 
-        if (!['real_name', 'first_name', 'nickname'].includes(identityMode)) {
-            return res.status(400).json({ error: 'Invalid identity mode' });
+        const displayNameError = validateDisplayName(normalizeDisplayName(displayName), identityMode);
+        if (displayNameError) {
+            return res.status(400).json({ error: displayNameError });
+        }
+
+        const inviter = await findInviter(inviteCode);
+        if (inviteCode && !inviter) {
+            return res.status(400).json({ error: 'Invalid invite code' });
         }
 
         // Check for existing user
@@ -56,17 +103,19 @@ router.post('/signup', async (req, res, next) => {
             data: {
                 email,
                 passwordHash,
-                displayName,
+                displayName: normalizeDisplayName(displayName),
                 identityMode,
                 deviceId: deviceId || null,
-                isVerified: true, // Auto-verified for now (MVP)
+                isVerified: false, // Verified via /verify-email
                 isActive: false, // Activated after subscription
             },
         });
 
-        // Generate OTP-like verification (in production, send email)
-        // For MVP, we'll use a simple 6-digit code stored temporarily
-        // In production, integrate proper email verification service
+        await recordReferral(inviter, user.id);
+        await getOrCreateHandle(user.id);
+
+        const verification = await issueVerification(user.id, email, 'email_verification');
+        await sendVerificationEmail(email, verification);
 
         res.status(201).json({
             message: 'Account created. Please verify your email.',
@@ -83,12 +132,26 @@ router.post('/signup', async (req, res, next) => {
  */
 router.post('/signup-phone', async (req, res, next) => {
     try {
-        const { firebaseToken, displayName, identityMode, deviceId } = req.body;
+        const { firebaseToken, displayName, identityMode, deviceId, inviteCode } = req.body;
 
         if (!firebaseToken || !displayName || !identityMode) {
             return res.status(400).json({ error: 'Firebase token, display name, and identity mode are required' });
         }
 
+        const displayNameError = validateDisplayName(normalizeDisplayName(displayName), identityMode);
+        if (displayNameError) {
+            return res.status(400).json({ error: displayNameError });
+        }
+
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
+        const inviter = await findInviter(inviteCode);
+        if (inviteCode && !inviter) {
+            return res.status(400).json({ error: 'Invalid invite code' });
+        }
+
         // Verify Firebase token
         const decodedToken = await firebaseAdmin.auth().verifyIdToken(firebaseToken);
         const phoneNumber = decodedToken.phone_number;
@@ -111,7 +174,7 @@ router.post('/signup-phone', async (req, res, next) => {
                 phoneNumber,
                 passwordHash: '', // No password for phone auth
                 firebaseUid: decodedToken.uid,
-                displayName,
+                displayName: normalizeDisplayName(displayName),
                 identityMode,
                 deviceId: deviceId || null,
                 isVerified: true, // Phone already verified via Firebase
@@ -119,8 +182,11 @@ router.post('/signup-phone', async (req, res, next) => {
             },
         });
 
+        await recordReferral(inviter, user.id);
+        await getOrCreateHandle(user.id);
+
         // Generate JWT tokens
-        const { accessToken, refreshToken } = generateTokens(user.id);
+        const { accessToken, refreshToken } = await startSession(user.id, req);
 
         res.status(201).json({
             message: 'Account created via phone.',
@@ -150,34 +216,49 @@ router.post('/login', async (req, res, next) => {
 
         const user = await prisma.user.findUnique({ where: { email } });
 
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        // Check if device is banned
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
         }
 
-        // Check if device is banned
-        if (deviceId) {
-            const bannedDevice = await prisma.user.findFirst({
-                where: {
-                    deviceId,
-                    isActive: false,
-                    isSuspended: true,
-                    suspendedUntil: null, // Permanent ban
-                },
+        // Per-account lockout (checked before the password so it cannot be probed).
+        // Unknown emails are throttled the same way so lockouts don't reveal which accounts exist.
+        const throttleId = getThrottleId(user, email);
+        const lockout = await getLockout(throttleId);
+        if (lockout) {
+            return res.status(429).json({
+                error: 'Too many failed login attempts. Please try again later.',
+                retryAfter: lockout.retryAfter,
             });
-            if (bannedDevice) {
-                return res.status(403).json({ error: 'This device has been banned' });
-            }
         }
 
-        const passwordValid = await bcrypt.compare(password, user.passwordHash);
+        const passwordValid = user?.passwordHash ? await bcrypt.compare(password, user.passwordHash) : false;
         if (!passwordValid) {
+            const attempt = await recordFailedLogin(throttleId);
+            if (attempt.locked) {
+                if (user) await notifyAccountLocked(user, attempt.lockedUntil);
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please try again later.',
+                    retryAfter: attempt.retryAfter,
+                });
+            }
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
+        await clearFailedLogins(user.id);
+
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
         if (!user.isVerified) {
             return res.status(403).json({ error: 'Please verify your email first' });
         }
 
+        if (user.isTotpEnabled) {
+            return res.json(issueLoginChallenge(user.id));
+        }
+
         // Update last login and device ID
         await prisma.user.update({
             where: { id: user.id },
@@ -187,7 +268,7 @@ router.post('/login', async (req, res, next) => {
             },
         });
 
-        const { accessToken, refreshToken } = generateTokens(user.id);
+        const { accessToken, refreshToken } = await startSession(user.id, req);
 
         res.json({
             accessToken,
@@ -218,6 +299,10 @@ router.post('/login-phone', async (req, res, next) => {
             return res.status(400).json({ error: 'Firebase token required' });
         }
 
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
         const decodedToken = await firebaseAdmin.auth().verifyIdToken(firebaseToken);
         const phoneNumber = decodedToken.phone_number;
 
@@ -227,6 +312,14 @@ router.post('/login-phone', async (req, res, next) => {
             return res.status(404).json({ error: 'No account found with this phone number' });
         }
 
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
+        if (user.isTotpEnabled) {
+            return res.json(issueLoginChallenge(user.id));
+        }
+
         // Update last login
         await prisma.user.update({
             where: { id: user.id },
@@ -236,7 +329,7 @@ router.post('/login-phone', async (req, res, next) => {
             },
         });
 
-        const { accessToken, refreshToken } = generateTokens(user.id);
+        const { accessToken, refreshToken } = await startSession(user.id, req);
 
         res.json({
             accessToken,
@@ -255,9 +348,287 @@ router.post('/login-phone', async (req, res, next) => {
     }
 });
 
+/**
+ * POST /api/auth/apple
+ * POST /api/auth/google
+ * Sign in with an Apple/Google identity token.
+ * Creates the account on first use (displayName + identityMode required),
+ * or links to an existing account with the same verified email.
+ */
+const socialLogin = (provider) => async (req, res, next) => {
+    try {
+        const { identityToken, displayName, identityMode, deviceId, inviteCode } = req.body;
+
+        if (!identityToken) {
+            return res.status(400).json({ error: 'Identity token required' });
+        }
+
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
+        const profile = await verifyIdentityToken(provider, identityToken);
+
+        const identity = await prisma.userIdentity.findUnique({
+            where: { provider_providerUserId: { provider, providerUserId: profile.subject } },
+            include: { user: true },
+        });
+
+        let user = identity?.user;
+        let isNewUser = false;
+
+        if (!user && profile.email) {
+            const existingUser = await prisma.user.findFirst({
+                where: { email: { equals: profile.email, mode: 'insensitive' } },
+            });
+
+            if (existingUser) {
+                // Only auto-link when both sides have proven ownership of the email
+                if (!profile.emailVerified || !existingUser.isVerified) {
+                    return res.status(409).json({
+                        error: 'An account with this email already exists. Log in with your password to link this sign-in method.',
+                    });
+                }
+
+                // Never add a login method to a banned account
+                if (isPermanentlyBanned(existingUser)) {
+                    return res.status(403).json({ error: 'This account has been banned' });
+                }
+
+                try {
+                    await prisma.userIdentity.create({
+                        data: {
+                            userId: existingUser.id,
+                            provider,
+                            providerUserId: profile.subject,
+                            email: profile.email,
+                        },
+                    });
+                    user = existingUser;
+                } catch (error) {
+                    if (error.code !== 'P2002') throw error;
+
+                    // A concurrent sign-in linked it first, or the account has another identity for this provider
+                    user = await findIdentityUser(provider, profile.subject);
+                    if (!user) {
+                        return res.status(409).json({
+                            error: `This account already has a different ${provider} sign-in linked`,
+                        });
+                    }
+                }
+            }
+        }
+
+        if (!user) {
+            if (!displayName || !identityMode) {
+                return res.status(400).json({
+                    error: 'Display name and identity mode are required to create an account',
+                    needsProfile: true,
+                });
+            }
+
+            const displayNameError = validateDisplayName(normalizeDisplayName(displayName), identityMode);
+            if (displayNameError) {
+                return res.status(400).json({ error: displayNameError });
+            }
+
+            const inviter = await findInviter(inviteCode);
+            if (inviteCode && !inviter) {
+                return res.status(400).json({ error: 'Invalid invite code' });
+            }
+
+            try {
+                user = await prisma.user.create({
+                    data: {
+                        email: profile.emailVerified ? profile.email : null,
+                        passwordHash: '', // No password for provider sign-in
+                        displayName: normalizeDisplayName(displayName),
+                        identityMode,
+                        deviceId: deviceId || null,
+                        isVerified: true, // Identity verified by the provider
+                        isActive: false,  // Activated after subscription
+                        identities: {
+                            create: {
+                                provider,
+                                providerUserId: profile.subject,
+                                email: profile.email,
+                            },
+                        },
+                    },
+                });
+                isNewUser = true;
+            } catch (error) {
+                if (error.code !== 'P2002') throw error;
+
+                // A concurrent first sign-in with the same identity created the account
+                user = await findIdentityUser(provider, profile.subject);
+                if (!user) throw error;
+            }
+
+            if (isNewUser) {
+                await recordReferral(inviter, user.id);
+                await getOrCreateHandle(user.id);
+            }
+        }
+
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
+        // The identity is still marked used: the provider step succeeded
+        await prisma.userIdentity.update({
+            where: { provider_providerUserId: { provider, providerUserId: profile.subject } },
+            data: { lastUsedAt: new Date() },
+        });
+
+        if (user.isTotpEnabled) {
+            return res.json(issueLoginChallenge(user.id));
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                lastLoginAt: new Date(),
+                deviceId: deviceId || user.deviceId,
+            },
+        });
+
+        const { accessToken, refreshToken } = await startSession(user.id, req);
+
+        res.status(isNewUser ? 201 : 200).json({
+            accessToken,
+            refreshToken,
+            isNewUser,
+            user: {
+                id: user.id,
+                email: user.email,
+                displayName: user.displayName,
+                identityMode: user.identityMode,
+                isActive: user.isActive,
+                agreedToValues: user.agreedToValues,
+            },
+        });
+    } catch (error) {
+        if (error.code === 'identity/unavailable') {
+            console.error(`${provider} sign-in unavailable:`, error.message);
+            return res.status(503).json({ error: 'Sign-in temporarily unavailable' });
+        }
+        if (error.code === 'identity/token-expired') {
+            return res.status(401).json({ error: 'Identity token expired' });
+        }
+        if (error.code?.startsWith('identity/')) {
+            return res.status(401).json({ error: 'Invalid identity token' });
+        }
+        next(error);
+    }
+};
+
+/**
+ * User an identity belongs to (re-read after losing a race to create it)
+ */
+async function findIdentityUser(provider, providerUserId) {
+    const identity = await prisma.userIdentity.findUnique({
+        where: { provider_providerUserId: { provider, providerUserId } },
+        include: { user: true },
+    });
+    return identity?.user || null;
+}
+
+router.post('/apple', socialLogin('apple'));
+router.post('/google', socialLogin('google'));
+
+/**
+ * POST /api/auth/verify-2fa
+ * Complete a login that returned requires2fa with a TOTP or recovery code
+ */
+router.post('/verify-2fa', async (req, res, next) => {
+    try {
+        const { tempToken, totpCode, recoveryCode, deviceId } = req.body;
+
+        if (!tempToken || (!totpCode && !recoveryCode)) {
+            return res.status(400).json({ error: 'Temp token and a 2FA or recovery code are required' });
+        }
+
+        let decoded;
+        try {
+            decoded = jwtKeys.access.verify(tempToken, {
+                audience: TOKEN_AUDIENCES.APP,
+                typ: TOKEN_TYPES.TWO_FACTOR_CHALLENGE,
+            });
+        } catch (err) {
+            return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: decoded.userId } });
+        if (!user || !user.isTotpEnabled) {
+            return res.status(401).json({ error: 'Login expired. Please sign in again.' });
+        }
+
+        if (await isDeviceBanned(deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const lockout = await getLockout(user.id);
+        if (lockout) {
+            return res.status(429).json({
+                error: 'Too many failed login attempts. Please try again later.',
+                retryAfter: lockout.retryAfter,
+            });
+        }
+
+        const { valid, usedRecoveryCode } = await verifySecondFactor(user, { totpCode, recoveryCode });
+        if (!valid) {
+            const attempt = await recordFailedLogin(user.id);
+            if (attempt.locked) {
+                await notifyAccountLocked(user, attempt.lockedUntil);
+                return res.status(429).json({
+                    error: 'Too many failed login attempts. Please try again later.',
+                    retryAfter: attempt.retryAfter,
+                });
+            }
+            return res.status(401).json({ error: 'Invalid 2FA code' });
+        }
+
+        await clearFailedLogins(user.id);
+
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                lastLoginAt: new Date(),
+                deviceId: deviceId || user.deviceId,
+            },
+        });
+
+        const { accessToken, refreshToken } = await startSession(user.id, req);
+
+        res.json({
+            accessToken,
+            refreshToken,
+            ...(usedRecoveryCode && { recoveryCodesRemaining: await countRecoveryCodes(user.id) }),
+            user: {
+                id: user.id,
+                email: user.email,
+                phoneNumber: user.phoneNumber,
+                displayName: user.displayName,
+                identityMode: user.identityMode,
+                isActive: user.isActive,
+                agreedToValues: user.agreedToValues,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * POST /api/auth/refresh
- * Refresh access token using refresh token
+ * Rotate refresh token: the presented token is spent and a new pair returned.
+ * Presenting an already-used refresh token revokes that whole login.
  */
 router.post('/refresh', async (req, res, next) => {
     try {
@@ -267,42 +638,287 @@ router.post('/refresh', async (req, res, next) => {
             return res.status(400).json({ error: 'Refresh token required' });
         }
 
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        const decoded = jwtKeys.refresh.verify(refreshToken, { audience: TOKEN_AUDIENCES.APP, typ: TOKEN_TYPES.REFRESH });
 
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
         });
 
-        if (!user) {
+        if (!user || isRevokedToken(decoded, user.sessionsRevokedAt)) {
             return res.status(401).json({ error: 'Invalid refresh token' });
         }
 
-        const tokens = generateTokens(user.id);
+        // Permanently banned accounts and devices cannot refresh
+        if (isPermanentlyBanned(user)) {
+            return res.status(403).json({ error: 'This account has been banned' });
+        }
+
+        const session = decoded.sid
+            ? await prisma.session.findUnique({ where: { id: decoded.sid }, select: { deviceId: true } })
+            : null;
+        if (await isDeviceBanned(session?.deviceId)) {
+            return res.status(403).json({ error: 'This device has been banned' });
+        }
+
+        const tokens = await rotateRefreshToken(decoded);
+
+        if (!tokens) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
 
         res.json(tokens);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ error: 'Refresh token expired. Please login again.' });
         }
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
         next(error);
     }
 });
 
 /**
- * POST /api/auth/agree-to-values
- * Record community values agreement
+ * POST /api/auth/logout
+ * Revoke the session for this device
  */
-router.post('/agree-to-values', authenticate, async (req, res, next) => {
+router.post('/logout', async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        // Expired tokens can still be logged out
+        const decoded = jwtKeys.refresh.verify(refreshToken, {
+            audience: TOKEN_AUDIENCES.APP,
+            typ: TOKEN_TYPES.REFRESH,
+            ignoreExpiration: true,
+        });
+
+        if (decoded.sid) {
+            await revokeSession(decoded.sid);
+        }
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Sign out every device: revoke all refresh tokens and issued access tokens
+ */
+router.post('/logout-all', authenticate, async (req, res, next) => {
     try {
+        await revokeAllUserTokens(req.user.id);
+
+        res.json({ message: 'Logged out of all devices' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Verify email with the link token or the emailed 6-digit code
+ */
+router.post('/verify-email', async (req, res, next) => {
+    try {
+        const { token, email, code } = req.body;
+
+        if (!token && !(email && code)) {
+            return res.status(400).json({ error: 'Verification token, or email and code, are required' });
+        }
+
+        const verification = await consumeVerification('email_verification', { token, email, code });
+
+        if (!verification) {
+            return res.status(400).json({ error: 'Invalid or expired verification code' });
+        }
+
         await prisma.user.update({
-            where: { id: req.user.id },
-            data: {
-                agreedToValues: true,
-                agreedToValuesAt: new Date(),
-            },
+            where: { id: verification.userId },
+            data: { isVerified: true },
+        });
+
+        res.json({ message: 'Email verified. You can now log in.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a fresh verification email (previous codes stop working)
+ */
+router.post('/resend-verification', async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ error: 'Valid email is required' });
+        }
+
+        // Same response whether or not the account exists
+        const response = { message: 'If that account needs verification, a new email has been sent.' };
+
+        const user = await prisma.user.findUnique({ where: { email } });
+        if (!user || user.isVerified) {
+            return res.json(response);
+        }
+
+        // Throttle resends; silently skip so the response stays uniform
+        const latest = await getLatestVerification(user.id, 'email_verification');
+        if (latest && Date.now() - latest.createdAt.getTime() < EMAIL_VERIFICATION.RESEND_COOLDOWN_MS) {
+            return res.json(response);
+        }
+
+        const verification = await issueVerification(user.id, email, 'email_verification');
+        await sendVerificationEmail(email, verification);
+
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link and code
+ */
+router.post('/forgot-password', async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || !validateEmail(email)) {
+            return res.status(400).json({ error: 'Valid email is required' });
+        }
+
+        // Same response whether or not the account exists
+        const response = { message: 'If an account exists for that email, a reset link has been sent.' };
+
+        const user = await prisma.user.findUnique({ where: { email } });
+        if (!user) {
+            return res.json(response);
+        }
+
+        const latest = await getLatestVerification(user.id, 'password_reset');
+        if (latest && Date.now() - latest.createdAt.getTime() < EMAIL_VERIFICATION.RESEND_COOLDOWN_MS) {
+            return res.json(response);
+        }
+
+        const reset = await issueVerification(user.id, email, 'password_reset', PASSWORD_RESET_TTL_MS);
+        await sendPasswordResetEmail(email, reset);
+
+        res.json(response);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using the reset link token or email+code.
+ * Signs out every existing session.
+ */
+router.post('/reset-password', async (req, res, next) => {
+    try {
+        const { token, email, code, password } = req.body;
+
+        if ((!token && !(email && code)) || !password) {
+            return res.status(400).json({ error: 'Reset token (or email and code) and new password are required' });
+        }
+
+        if (!validatePassword(password)) {
+            return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+        }
+
+        const reset = await consumeVerification('password_reset', { token, email, code });
+
+        if (!reset) {
+            return res.status(400).json({ error: 'Invalid or expired reset code' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 12);
+
+        await prisma.user.update({
+            where: { id: reset.userId },
+            data: { passwordHash },
         });
+        await revokeAllUserTokens(reset.userId);
+
+        // Proving email ownership lifts any brute-force lockout
+        await unlockAccount(reset.userId).catch((err) => console.error('Unlock after reset failed:', err.message));
+
+        await sendPasswordChangedEmail(reset.email);
 
-        res.json({ message: 'Community values agreement recorded' });
+        res.json({ message: 'Password updated. Please log in with your new password.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/auth/onboarding
+ * Onboarding progress and the next step the client should show
+ */
+router.get('/onboarding', authenticate, async (req, res, next) => {
+    try {
+        const onboarding = await getOnboardingState(req.user);
+
+        res.json(onboarding);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/auth/values
+ * Current community values and whether the user has agreed to them
+ */
+router.get('/values', authenticate, async (req, res, next) => {
+    try {
+        const { current, consent, hasAgreed } = await getConsentState(req.user);
+
+        res.json({
+            values: current,
+            hasAgreed,
+            agreedAt: consent?.agreedAt || null,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/agree-to-values
+ * Record agreement to the current community values version
+ */
+router.post('/agree-to-values', authenticate, async (req, res, next) => {
+    try {
+        const { versionId } = req.body || {};
+        const { current } = await getConsentState(req.user);
+
+        // Client agreed to text that has since been replaced
+        if (current && versionId && versionId !== current.id) {
+            return res.status(409).json({
+                error: 'Community values have been updated, please review the latest version',
+                values: current,
+            });
+        }
+
+        await recordConsent(req.user.id, current?.id, req.ip);
+
+        res.json({
+            message: 'Community values agreement recorded',
+            version: current?.version || null,
+        });
     } catch (error) {
         next(error);
     }
@@ -346,8 +962,8 @@ router.post('/set-intents', authenticate, async (req, res, next) => {
         console.log('📝 POST /set-intents', req.body);
         let { intentTagIds } = req.body;
 
-        if (!Array.isArray(intentTagIds) || intentTagIds.length < 2) {
-            return res.status(400).json({ error: 'Please select at least 2 intent tags' });
+        if (!Array.isArray(intentTagIds) || intentTagIds.length < MIN_INTENT_TAGS) {
+            return res.status(400).json({ error: `Please select at least ${MIN_INTENT_TAGS} intent tags` });
         }
 
         if (intentTagIds.length > 4) {
@@ -394,22 +1010,4 @@ router.post('/set-intents', authenticate, async (req, res, next) => {
     }
 });
 
-// ─── Helper Functions ─────────────────────────
-
-function generateTokens(userId) {
-    const accessToken = jwt.sign(
-        { userId },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-        { userId },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
-    );
-
-    return { accessToken, refreshToken };
-}
-
 module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const prisma = require('../config/database');
+const storage = require('../config/storage');
+const { verifyDownloadToken } = require('../services/dataExportService');
+const { DATA_EXPORT } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * GET /api/exports/:id/download
+ * Download a data export archive via its signed link (?token=...)
+ * No Authorization header: the signed token is the credential.
+ * Redirects to a short-lived URL for the archive in storage.
+ */
+router.get('/:id/download', async (req, res, next) => {
+    try {
+        let decoded;
+        try {
+            decoded = verifyDownloadToken(String(req.query.token || ''));
+        } catch (err) {
+            return res.status(403).json({ error: 'This download link is invalid or has expired' });
+        }
+
+        if (decoded.exportId !== req.params.id) {
+            return res.status(403).json({ error: 'This download link is invalid or has expired' });
+        }
+
+        const dataExport = await prisma.dataExport.findUnique({ where: { id: decoded.exportId } });
+
+        if (!dataExport || dataExport.userId !== decoded.userId || dataExport.status !== 'ready'
+            || !dataExport.storageKey) {
+            return res.status(410).json({ error: 'This export is no longer available' });
+        }
+
+        const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+        const url = await storage.getSignedUrl(dataExport.storageKey, {
+            expiresIn: DATA_EXPORT.STORAGE_URL_TTL_SECONDS,
+            downloadName: `ironroom-data-${date}.zip`,
+        });
+
+        res.set('Cache-Control', 'no-store');
+        res.redirect(302, url);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
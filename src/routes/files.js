@@ -0,0 +1,55 @@
+const express = require('express');
+const fs = require('fs');
+const storage = require('../config/storage');
+const jwtKeys = require('../config/jwtKeys');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+
+const router = express.Router();
+
+/**
+ * GET /api/files/*key
+ * Serve an object from the local storage driver via its signed URL (?token=...)
+ * Only used with STORAGE_DRIVER=local; S3 signed URLs point at the bucket
+ */
+router.get('/*key', async (req, res, next) => {
+    try {
+        if (storage.driverName !== 'local') {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const key = req.params.key.join('/');
+
+        let decoded;
+        try {
+            decoded = jwtKeys.access.verify(String(req.query.token || ''), {
+                audience: TOKEN_AUDIENCES.APP,
+                typ: TOKEN_TYPES.FILE_DOWNLOAD,
+            });
+        } catch (err) {
+            return res.status(403).json({ error: 'This link is invalid or has expired' });
+        }
+
+        if (decoded.key !== key) {
+            return res.status(403).json({ error: 'This link is invalid or has expired' });
+        }
+
+        const filePath = storage.resolveLocalPath(key);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        // Signed URLs are per-object and short-lived; let clients cache until expiry
+        const maxAge = Math.max(0, decoded.exp - Math.floor(Date.now() / 1000));
+        res.set('Cache-Control', `private, max-age=${maxAge}`);
+
+        if (decoded.downloadName) {
+            res.download(filePath, decoded.downloadName);
+        } else {
+            res.sendFile(filePath);
+        }
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,16 @@
 const express = require('express');
 const prisma = require('../config/database');
-const { authenticate, requireActive, requireNotSuspended } = require('../middleware/auth');
+const { authenticate, requireOnboarded, requireNotSuspended } = require('../middleware/auth');
 const { requireSubscription } = require('../middleware/subscription');
+const { requireCurrentValues } = require('../middleware/values');
 const { matchLimiter } = require('../middleware/rateLimiter');
-const { MATCH_COOLDOWN_MS, MATCH_SCORING } = require('../utils/constants');
+const { MATCH_COOLDOWN_MS, MATCH_SCORING, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+const { PUBLIC_USER_SELECT, getPublicName, presentUser } = require('../utils/presenters');
 
 const router = express.Router();
 
 router.use(authenticate);
-router.use(requireActive);
+router.use(requireOnboarded);
 router.use(requireSubscription);
 
 /**
@@ -24,8 +26,8 @@ router.get('/', async (req, res, next) => {
             },
             orderBy: { matchedAt: 'desc' },
             include: {
-                userOne: { select: { id: true, displayName: true } },
-                userTwo: { select: { id: true, displayName: true } },
+                userOne: { select: PUBLIC_USER_SELECT },
+                userTwo: { select: PUBLIC_USER_SELECT },
                 messages: {
                     orderBy: { createdAt: 'desc' },
                     take: 1,
@@ -41,7 +43,7 @@ router.get('/', async (req, res, next) => {
                 status: m.status,
                 matchedAt: m.matchedAt,
                 endedAt: m.endedAt,
-                partner,
+                partner: presentUser(partner),
                 lastMessage: m.messages[0] || null,
             };
         });
@@ -57,7 +59,7 @@ router.get('/', async (req, res, next) => {
  * Request a private 1-on-1 match.
  * Uses DB-based queue + scoring algorithm (same logic as original Redis worker).
  */
-router.post('/request', requireNotSuspended, matchLimiter, async (req, res, next) => {
+router.post('/request', requireNotSuspended, requireCurrentValues, matchLimiter, async (req, res, next) => {
     try {
         const userId = req.user.id;
 
@@ -100,7 +102,7 @@ router.post('/request', requireNotSuspended, matchLimiter, async (req, res, next
         // 5. Look for other waiting users (excluding self)
         const waitingUsers = await prisma.matchQueue.findMany({
             where: { userId: { not: userId } },
-            include: { user: { select: { id: true, displayName: true, isSuspended: true } } },
+            include: { user: { select: { ...PUBLIC_USER_SELECT, isSuspended: true } } },
         });
 
         if (waitingUsers.length === 0) {
@@ -209,6 +211,7 @@ router.post('/request', requireNotSuspended, matchLimiter, async (req, res, next
         try {
             const { sendPushNotification } = require('../services/notificationService');
             await sendPushNotification(bestMatch.userId, {
+                category: NOTIFICATION_CATEGORIES.MATCHES,
                 title: 'Match found!',
                 body: 'You have been connected with someone ready to talk',
                 data: { type: 'match_found', matchId: match.id },
@@ -220,7 +223,7 @@ router.post('/request', requireNotSuspended, matchLimiter, async (req, res, next
         return res.json({
             status: 'matched',
             matchId: match.id,
-            partnerName: bestMatch.user.displayName,
+            partnerName: getPublicName(bestMatch.user),
         });
     } catch (error) {
         next(error);
@@ -262,7 +265,7 @@ router.get('/status', async (req, res, next) => {
 
             const waitingUsers = await prisma.matchQueue.findMany({
                 where: { userId: { not: userId } },
-                include: { user: { select: { id: true, displayName: true, isSuspended: true } } },
+                include: { user: { select: { ...PUBLIC_USER_SELECT, isSuspended: true } } },
             });
 
             // If there's someone else waiting, try to match now
@@ -316,6 +319,7 @@ router.get('/status', async (req, res, next) => {
                     try {
                         const { sendPushNotification } = require('../services/notificationService');
                         await sendPushNotification(bestMatch.userId, {
+                            category: NOTIFICATION_CATEGORIES.MATCHES,
                             title: 'Match found!',
                             body: 'You have been connected with someone ready to talk',
                             data: { type: 'match_found', matchId: match.id },
@@ -327,7 +331,7 @@ router.get('/status', async (req, res, next) => {
                     return res.json({
                         status: 'matched',
                         matchId: match.id,
-                        partnerName: bestMatch.user.displayName,
+                        partnerName: getPublicName(bestMatch.user),
                     });
                 }
             }
@@ -420,9 +424,7 @@ router.get('/:matchId/messages', async (req, res, next) => {
                 id: true,
                 messageText: true,
                 createdAt: true,
-                sender: {
-                    select: { id: true, displayName: true },
-                },
+                sender: { select: PUBLIC_USER_SELECT },
             },
         };
 
@@ -434,7 +436,7 @@ router.get('/:matchId/messages', async (req, res, next) => {
         const messages = await prisma.privateMessage.findMany(queryOptions);
 
         res.json({
-            messages: messages.reverse(),
+            messages: messages.reverse().map((m) => ({ ...m, sender: presentUser(m.sender) })),
             nextCursor: messages.length === take ? messages[messages.length - 1]?.id : null,
         });
     } catch (error) {
@@ -479,13 +481,11 @@ router.post('/:matchId/messages', requireNotSuspended, async (req, res, next) =>
                 id: true,
                 messageText: true,
                 createdAt: true,
-                sender: {
-                    select: { id: true, displayName: true },
-                },
+                sender: { select: PUBLIC_USER_SELECT },
             },
         });
 
-        res.status(201).json({ message });
+        res.status(201).json({ message: { ...message, sender: presentUser(message.sender) } });
     } catch (error) {
         next(error);
     }
@@ -1,38 +1,58 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const prisma = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { revokeSession, revokeAllUserTokens } = require('../services/tokenService');
+const { startSession, listSessions } = require('../services/sessionService');
+const { verifyIdentityToken, countLoginMethods } = require('../services/identityService');
+const firebaseAdmin = require('../config/firebase');
+const { issueVerification, consumeVerification, getLatestVerification } = require('../services/verificationService');
+const { sendPasswordChangedEmail, sendEmailLinkEmail, sendTwoFactorChangedEmail } = require('../services/mailService');
+const {
+    generateTotpSecret,
+    consumeTotp,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    countRecoveryCodes,
+} = require('../services/twoFactorService');
+const {
+    getLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    notifyAccountLocked,
+} = require('../services/loginThrottleService');
+const { getOrCreateInviteCode, getReferralStats, getBonusDays } = require('../services/referralService');
+const { createDownloadUrl } = require('../services/dataExportService');
+const { scheduleAccountDeletion, cancelAccountDeletion } = require('../services/accountDeletionService');
+const { submitAvatar, getAvatarUrls, getSubmissionUrl } = require('../services/avatarService');
+const { normalizeHandle, validateHandle, isHandleAvailable, setHandle } = require('../services/handleService');
+const {
+    OPTIONAL_CATEGORIES,
+    getNotificationSettings,
+    updateNotificationSettings,
+} = require('../services/notificationService');
+const {
+    isValidTimezone,
+    parseWindows,
+    formatWindow,
+    getQuietHoursEnd,
+} = require('../services/quietHoursService');
+const { getPublicName } = require('../utils/presenters');
+const {
+    validateEmail,
+    validatePassword,
+    normalizeDisplayName,
+    validateDisplayName,
+    PASSWORD_REQUIREMENTS,
+} = require('../utils/validators');
+const { DATA_EXPORT, AVATAR, EMAIL_VERIFICATION, MANDATORY_NOTIFICATION_CATEGORIES } = require('../utils/constants');
 
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Configure multer
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', '..', 'public', 'uploads');
-        // Ensure directory exists
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        // userId-timestamp.ext
-        const ext = path.extname(file.originalname);
-        cb(null, `${req.user.id}-${Date.now()}${ext}`);
-    }
-});
 
+// Keep uploads in memory: nothing touches disk until the image is decoded and re-encoded
 const upload = multer({
-    storage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('only images are allowed'));
-        }
-    }
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR.MAX_UPLOAD_BYTES, files: 1 },
 });
 
 const router = express.Router();
@@ -53,11 +73,22 @@ router.get('/', async (req, res, next) => {
                 email: true,
                 phoneNumber: true,
                 displayName: true,
+                handle: true,
                 profilePictureUrl: true,
+                profileThumbnailUrl: true,
+                avatarKey: true,
+                avatarThumbnailKey: true,
                 identityMode: true,
+                timezone: true,
                 isActive: true,
                 agreedToValues: true,
+                deletionScheduledFor: true,
                 createdAt: true,
+                avatarSubmissions: {
+                    where: { status: { not: 'superseded' } },
+                    orderBy: { createdAt: 'desc' },
+                    take: 1,
+                },
                 intents: {
                     include: { intentTag: { select: { id: true, tagName: true } } },
                 },
@@ -75,7 +106,37 @@ router.get('/', async (req, res, next) => {
             },
         });
 
-        res.json({ user });
+        const { avatarKey, avatarThumbnailKey, avatarSubmissions, ...profile } = user;
+
+        res.json({
+            user: {
+                ...profile,
+                publicName: getPublicName(user), // How others see them
+                ...(await getAvatarUrls(user)),
+                avatarReview: await formatAvatarReview(avatarSubmissions[0]),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/invite
+ * Get the user's invite code and referral stats
+ */
+router.get('/invite', async (req, res, next) => {
+    try {
+        const [inviteCode, stats] = await Promise.all([
+            getOrCreateInviteCode(req.user.id),
+            getReferralStats(req.user.id),
+        ]);
+
+        res.json({
+            inviteCode,
+            bonusDaysPerReferral: getBonusDays(),
+            ...stats,
+        });
     } catch (error) {
         next(error);
     }
@@ -83,50 +144,69 @@ router.get('/', async (req, res, next) => {
 
 /**
  * POST /api/profile/avatar
- * Upload profile picture
+ * Upload profile picture (re-encoded to 512px and 128px WebP) for moderator review
  */
-router.post('/avatar', upload.single('avatar'), async (req, res, next) => {
+router.post('/avatar', (req, res, next) => {
+    upload.single('avatar')(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                error: err.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : err.message,
+            });
+        }
+        next(err);
+    });
+}, async (req, res, next) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
-        const profilePictureUrl = `/uploads/${req.file.filename}`;
+        // Held for review; the current (or placeholder) avatar stays until approved
+        const submission = await submitAvatar(req.user.id, req.file.buffer);
 
-        const user = await prisma.user.update({
-            where: { id: req.user.id },
-            data: { profilePictureUrl },
-            select: {
-                id: true,
-                displayName: true,
-                profilePictureUrl: true,
-            }
+        res.status(202).json({
+            message: 'Profile picture submitted for review',
+            avatarReview: await formatAvatarReview(submission),
         });
-
-        res.json({ message: 'Profile picture updated', user });
     } catch (error) {
+        if (error.code?.startsWith('avatar/')) {
+            return res.status(400).json({ error: error.message });
+        }
         next(error);
     }
 });
 
 /**
  * PUT /api/profile/update
- * Update display name and identity mode
+ * Update display name, identity mode and timezone
  */
 router.put('/update', async (req, res, next) => {
     try {
-        const { displayName, identityMode } = req.body;
+        const { displayName, identityMode, timezone } = req.body;
 
         const updateData = {};
-        if (displayName) updateData.displayName = displayName;
-        if (identityMode && ['real_name', 'first_name', 'nickname'].includes(identityMode)) {
-            updateData.identityMode = identityMode;
+        if (displayName) updateData.displayName = normalizeDisplayName(displayName);
+        if (identityMode) updateData.identityMode = identityMode;
+        if (timezone !== undefined) {
+            if (timezone !== null && !isValidTimezone(timezone)) {
+                return res.status(400).json({ error: 'Unknown timezone, use an IANA name like "Europe/London"' });
+            }
+            updateData.timezone = timezone;
         }
 
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({ error: 'Nothing to update' });
         }
 
+        // Changing either one must leave a name that fits the mode
+        const displayNameError = validateDisplayName(
+            updateData.displayName ?? req.user.displayName,
+            updateData.identityMode ?? req.user.identityMode
+        );
+        if (displayNameError) {
+            return res.status(400).json({ error: displayNameError });
+        }
+
         const user = await prisma.user.update({
             where: { id: req.user.id },
             data: updateData,
@@ -134,10 +214,219 @@ router.put('/update', async (req, res, next) => {
                 id: true,
                 displayName: true,
                 identityMode: true,
+                timezone: true,
             },
         });
 
-        res.json({ message: 'Profile updated', user });
+        res.json({
+            message: 'Profile updated',
+            user: { ...user, publicName: getPublicName(user) },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/handle/available?handle=
+ * Check whether a handle can be used
+ */
+router.get('/handle/available', async (req, res, next) => {
+    try {
+        const handle = normalizeHandle(req.query.handle);
+
+        const error = validateHandle(handle);
+        if (error) {
+            return res.json({ handle, available: false, error });
+        }
+
+        res.json({ handle, available: await isHandleAvailable(handle, req.user.id) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/profile/handle
+ * Change @handle (unique, case-insensitive)
+ */
+router.put('/handle', async (req, res, next) => {
+    try {
+        const result = await setHandle(req.user.id, req.body?.handle);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Handle updated', handle: result.handle });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/notification-settings
+ * Push notification categories and whether each is on
+ */
+router.get('/notification-settings', async (req, res, next) => {
+    try {
+        res.json({
+            settings: await getNotificationSettings(req.user.id),
+            alwaysOn: MANDATORY_NOTIFICATION_CATEGORIES,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/profile/notification-settings
+ * Turn categories on or off, e.g. { "mentions": false }
+ */
+router.put('/notification-settings', async (req, res, next) => {
+    try {
+        const changes = req.body || {};
+        const entries = Object.entries(changes);
+
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        for (const [category, enabled] of entries) {
+            if (MANDATORY_NOTIFICATION_CATEGORIES.includes(category)) {
+                return res.status(400).json({ error: `${category} notifications cannot be turned off` });
+            }
+            if (!OPTIONAL_CATEGORIES.includes(category)) {
+                return res.status(400).json({ error: `Unknown notification category: ${category}` });
+            }
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).json({ error: `${category} must be true or false` });
+            }
+        }
+
+        const settings = await updateNotificationSettings(req.user.id, changes);
+
+        res.json({
+            message: 'Notification settings updated',
+            settings,
+            alwaysOn: MANDATORY_NOTIFICATION_CATEGORIES,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/quiet-hours
+ * Quiet hours windows and whether one is active now
+ */
+router.get('/quiet-hours', async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { timezone: true, quietHours: true },
+        });
+
+        res.json(formatQuietHours(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/profile/quiet-hours
+ * Replace quiet hours, e.g. { "timezone": "Europe/London", "windows": [{ "start": "22:00", "end": "07:00" }] }
+ * Non-urgent notifications in a window are held and sent as a summary when it ends
+ */
+router.put('/quiet-hours', async (req, res, next) => {
+    try {
+        const { timezone, windows: input } = req.body || {};
+
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Unknown timezone, use an IANA name like "Europe/London"' });
+        }
+
+        const { windows, error } = parseWindows(input);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const [, , user] = await prisma.$transaction([
+            prisma.quietHoursWindow.deleteMany({ where: { userId: req.user.id } }),
+            prisma.quietHoursWindow.createMany({
+                data: windows.map((w) => ({ userId: req.user.id, ...w })),
+            }),
+            prisma.user.update({
+                where: { id: req.user.id },
+                data: timezone !== undefined ? { timezone } : {},
+                select: { timezone: true, quietHours: true },
+            }),
+        ]);
+
+        res.json({ message: 'Quiet hours updated', ...formatQuietHours(user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/profile/password
+ * Change password (requires current password).
+ * Signs out all other sessions; returns fresh tokens for this device.
+ */
+router.put('/password', async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current password and new password are required' });
+        }
+
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, passwordHash: true },
+        });
+
+        if (!user.passwordHash) {
+            return res.status(400).json({ error: 'This account has no password set' });
+        }
+
+        const passwordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+        if (!passwordValid) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const passwordHash = await bcrypt.hash(newPassword, 12);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { passwordHash },
+        });
+        // Keep this device signed in under a fresh session
+        const currentSession = req.sessionId
+            ? await prisma.session.findUnique({ where: { id: req.sessionId } })
+            : null;
+
+        await revokeAllUserTokens(user.id);
+
+        if (user.email) {
+            await sendPasswordChangedEmail(user.email);
+        }
+
+        const { accessToken, refreshToken } = await startSession(user.id, req, {
+            deviceId: currentSession?.deviceId || null,
+            deviceName: currentSession?.deviceName || null,
+            platform: currentSession?.platform || null,
+            pushToken: currentSession?.pushToken || null,
+            ipAddress: req.ip || null,
+            userAgent: req.get('user-agent')?.slice(0, 255) || null,
+        });
+
+        res.json({ message: 'Password changed', accessToken, refreshToken });
     } catch (error) {
         next(error);
     }
@@ -160,6 +449,13 @@ router.put('/fcm-token', async (req, res, next) => {
             data: { fcmToken },
         });
 
+        if (req.sessionId) {
+            await prisma.session.update({
+                where: { id: req.sessionId },
+                data: { pushToken: fcmToken },
+            });
+        }
+
         res.json({ message: 'FCM token updated' });
     } catch (error) {
         next(error);
@@ -167,32 +463,735 @@ router.put('/fcm-token', async (req, res, next) => {
 });
 
 /**
- * DELETE /api/profile
- * Delete account and all personal data (GDPR compliant)
+ * GET /api/profile/sessions
+ * List devices where the user is signed in
  */
-router.delete('/', async (req, res, next) => {
+router.get('/sessions', async (req, res, next) => {
     try {
-        const { confirmation } = req.body;
+        const sessions = await listSessions(req.user.id);
 
-        if (confirmation !== 'DELETE_MY_ACCOUNT') {
-            return res.status(400).json({
-                error: 'Please send confirmation: "DELETE_MY_ACCOUNT" to proceed',
+        res.json({
+            sessions: sessions.map((s) => ({
+                ...s,
+                isCurrent: s.id === req.sessionId,
+            })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/profile/sessions/:id
+ * Sign out a device remotely
+ */
+router.delete('/sessions/:id', async (req, res, next) => {
+    try {
+        const session = await prisma.session.findFirst({
+            where: { id: req.params.id, userId: req.user.id, revokedAt: null },
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await revokeSession(session.id);
+
+        res.json({ message: 'Device signed out' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Load the fields needed to count a user's sign-in methods
+ */
+async function getLoginMethodState(userId) {
+    return prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+            email: true,
+            passwordHash: true,
+            phoneNumber: true,
+            identities: { select: { id: true, provider: true, email: true, createdAt: true } },
+        },
+    });
+}
+
+/**
+ * GET /api/profile/login-methods
+ * List every way this account can sign in
+ */
+router.get('/login-methods', async (req, res, next) => {
+    try {
+        const user = await getLoginMethodState(req.user.id);
+
+        res.json({
+            email: user.email && user.passwordHash ? { address: user.email } : null,
+            phone: user.phoneNumber ? { number: user.phoneNumber } : null,
+            identities: user.identities.map((i) => ({ provider: i.provider, email: i.email, createdAt: i.createdAt })),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/login-methods/email
+ * Start adding email+password sign-in; a code is emailed to confirm the address.
+ * If the account already has a password, it must be supplied to confirm.
+ */
+router.post('/login-methods/email', async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, passwordHash: true },
+        });
+
+        // Email already confirmed (e.g. from Apple/Google sign-in): just set the password
+        if (user.email && !user.passwordHash && user.email.toLowerCase() === email.toLowerCase()) {
+            if (!validatePassword(password)) {
+                return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+            }
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { passwordHash: await bcrypt.hash(password, 12) },
             });
+            return res.json({ message: 'Password set. You can now log in with email and password.' });
         }
 
-        // Cascade delete handles most relations
-        // But we explicitly clear any data that might remain
-        await prisma.$transaction([
-            prisma.userIntent.deleteMany({ where: { userId: req.user.id } }),
-            prisma.roomMember.deleteMany({ where: { userId: req.user.id } }),
-            prisma.vent.deleteMany({ where: { userId: req.user.id } }),
-            prisma.blockedUser.deleteMany({
-                where: { OR: [{ blockerId: req.user.id }, { blockedId: req.user.id }] },
-            }),
-            prisma.user.delete({ where: { id: req.user.id } }),
-        ]);
+        if (user.email) {
+            return res.status(409).json({ error: 'This account already has an email. Remove it first to change it.' });
+        }
+
+        const taken = await prisma.user.findFirst({
+            where: { email: { equals: email, mode: 'insensitive' } },
+        });
+        if (taken) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        // Throttle codes so this cannot be used to send mail to any address repeatedly
+        const latest = await getLatestVerification(user.id, 'email_link');
+        if (latest && Date.now() - latest.createdAt.getTime() < EMAIL_VERIFICATION.RESEND_COOLDOWN_MS) {
+            return res.status(429).json({
+                error: 'A code was sent recently. Please wait before requesting another.',
+                retryAfter: Math.ceil((latest.createdAt.getTime() + EMAIL_VERIFICATION.RESEND_COOLDOWN_MS - Date.now()) / 1000),
+            });
+        }
+
+        if (user.passwordHash) {
+            const passwordValid = await bcrypt.compare(password, user.passwordHash);
+            if (!passwordValid) {
+                return res.status(401).json({ error: 'Password is incorrect' });
+            }
+        } else {
+            if (!validatePassword(password)) {
+                return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+            }
+            // Stored now; only usable for login once the email is confirmed
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { passwordHash: await bcrypt.hash(password, 12) },
+            });
+        }
+
+        const verification = await issueVerification(user.id, email, 'email_link');
+        await sendEmailLinkEmail(email, verification);
+
+        res.json({ message: 'Confirmation code sent. Verify it to finish adding your email.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/login-methods/email/verify
+ * Confirm the emailed code and attach the email to this account
+ */
+router.post('/login-methods/email/verify', async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ error: 'Confirmation code required' });
+        }
+
+        const verification = await consumeVerification('email_link', { userId: req.user.id, code });
+
+        if (!verification) {
+            return res.status(400).json({ error: 'Invalid or expired confirmation code' });
+        }
+
+        // Re-check: the address may have been claimed since the code was sent
+        const taken = await prisma.user.findFirst({
+            where: { email: { equals: verification.email, mode: 'insensitive' } },
+        });
+        if (taken) {
+            return res.status(409).json({ error: 'An account with this email already exists' });
+        }
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { email: verification.email, isVerified: true },
+        });
+
+        res.json({ message: 'Email added. You can now log in with email and password.' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/profile/login-methods/email
+ * Remove email+password sign-in (another sign-in method must remain)
+ */
+router.delete('/login-methods/email', async (req, res, next) => {
+    try {
+        const user = await getLoginMethodState(req.user.id);
+
+        if (!user.email) {
+            return res.status(404).json({ error: 'No email on this account' });
+        }
+
+        if (countLoginMethods(user, user.identities) <= 1) {
+            return res.status(400).json({ error: 'You cannot remove your only sign-in method' });
+        }
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { email: null, passwordHash: '' },
+        });
+
+        res.json({ message: 'Email sign-in removed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/login-methods/phone
+ * Add phone sign-in using a Firebase phone auth token
+ */
+router.post('/login-methods/phone', async (req, res, next) => {
+    try {
+        const { firebaseToken } = req.body;
+
+        if (!firebaseToken) {
+            return res.status(400).json({ error: 'Firebase token required' });
+        }
+
+        const decodedToken = await firebaseAdmin.auth().verifyIdToken(firebaseToken);
+        const phoneNumber = decodedToken.phone_number;
+
+        if (!phoneNumber) {
+            return res.status(400).json({ error: 'Phone number not found in token' });
+        }
+
+        if (req.user.phoneNumber) {
+            return res.status(409).json({ error: 'This account already has a phone number. Remove it first to change it.' });
+        }
+
+        const taken = await prisma.user.findFirst({
+            where: { OR: [{ phoneNumber }, { firebaseUid: decodedToken.uid }] },
+        });
+        if (taken) {
+            return res.status(409).json({ error: 'An account with this phone number already exists' });
+        }
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { phoneNumber, firebaseUid: decodedToken.uid },
+        });
+
+        res.json({ message: 'Phone number added', phoneNumber });
+    } catch (error) {
+        if (error.code === 'auth/id-token-expired') {
+            return res.status(401).json({ error: 'Firebase token expired' });
+        }
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/profile/login-methods/phone
+ * Remove phone sign-in (another sign-in method must remain)
+ */
+router.delete('/login-methods/phone', async (req, res, next) => {
+    try {
+        const user = await getLoginMethodState(req.user.id);
+
+        if (!user.phoneNumber) {
+            return res.status(404).json({ error: 'No phone number on this account' });
+        }
+
+        if (countLoginMethods(user, user.identities) <= 1) {
+            return res.status(400).json({ error: 'You cannot remove your only sign-in method' });
+        }
+
+        await prisma.user.update({
+            where: { id: req.user.id },
+            data: { phoneNumber: null, firebaseUid: null },
+        });
+
+        res.json({ message: 'Phone sign-in removed' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/identities
+ * List linked Apple/Google sign-in methods
+ */
+router.get('/identities', async (req, res, next) => {
+    try {
+        const identities = await prisma.userIdentity.findMany({
+            where: { userId: req.user.id },
+            select: { provider: true, email: true, lastUsedAt: true, createdAt: true },
+        });
+
+        res.json({ identities });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/identities/:provider
+ * Link an Apple/Google account using its identity token
+ */
+router.post('/identities/:provider', async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+        const { identityToken } = req.body;
+
+        if (!['apple', 'google'].includes(provider)) {
+            return res.status(400).json({ error: 'Invalid provider. Use: apple or google' });
+        }
+
+        if (!identityToken) {
+            return res.status(400).json({ error: 'Identity token required' });
+        }
+
+        const profile = await verifyIdentityToken(provider, identityToken);
+
+        const existing = await prisma.userIdentity.findUnique({
+            where: { provider_providerUserId: { provider, providerUserId: profile.subject } },
+        });
+
+        if (existing) {
+            if (existing.userId === req.user.id) {
+                return res.json({ message: 'Already linked' });
+            }
+            return res.status(409).json({ error: 'This account is already linked to another user' });
+        }
+
+        const alreadyLinked = await prisma.userIdentity.findUnique({
+            where: { userId_provider: { userId: req.user.id, provider } },
+        });
+
+        if (alreadyLinked) {
+            return res.status(409).json({ error: `A different ${provider} account is already linked` });
+        }
+
+        await prisma.userIdentity.create({
+            data: {
+                userId: req.user.id,
+                provider,
+                providerUserId: profile.subject,
+                email: profile.email,
+            },
+        });
+
+        res.status(201).json({ message: `${provider} sign-in linked` });
+    } catch (error) {
+        if (error.code === 'identity/unavailable') {
+            console.error('Identity link unavailable:', error.message);
+            return res.status(503).json({ error: 'Sign-in temporarily unavailable' });
+        }
+        if (error.code?.startsWith('identity/')) {
+            return res.status(401).json({ error: 'Invalid identity token' });
+        }
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/profile/identities/:provider
+ * Unlink an Apple/Google account (another sign-in method must remain)
+ */
+router.delete('/identities/:provider', async (req, res, next) => {
+    try {
+        const { provider } = req.params;
+
+        const user = await getLoginMethodState(req.user.id);
+
+        const identity = user.identities.find((i) => i.provider === provider);
+        if (!identity) {
+            return res.status(404).json({ error: 'Sign-in method not linked' });
+        }
+
+        if (countLoginMethods(user, user.identities) <= 1) {
+            return res.status(400).json({ error: 'You cannot remove your only sign-in method' });
+        }
+
+        await prisma.userIdentity.delete({ where: { id: identity.id } });
+
+        res.json({ message: `${provider} sign-in removed` });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/2fa
+ * Two-factor status and remaining recovery codes
+ */
+router.get('/2fa', async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { isTotpEnabled: true },
+        });
+
+        res.json({
+            enabled: user.isTotpEnabled,
+            recoveryCodesRemaining: user.isTotpEnabled ? await countRecoveryCodes(req.user.id) : 0,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/2fa/setup
+ * Generate a TOTP secret and QR code (not active until confirmed)
+ */
+router.post('/2fa/setup', async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, phoneNumber: true, isTotpEnabled: true },
+        });
+
+        if (user.isTotpEnabled) {
+            return res.status(409).json({ error: '2FA is already enabled' });
+        }
+
+        const { secret, qrCode } = await generateTotpSecret(
+            `IronRoom (${user.email || user.phoneNumber || req.user.displayName})`,
+            process.env.TOTP_ISSUER || 'IronRoom'
+        );
+
+        // Saved unconfirmed; only enabled once a valid code is confirmed
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { totpSecret: secret },
+        });
+
+        res.json({
+            secret,
+            qrCode,
+            message: 'Scan the QR code with your authenticator app, then confirm with /2fa/confirm',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/2fa/confirm
+ * Enable 2FA with a valid code. Returns recovery codes (shown once).
+ */
+router.post('/2fa/confirm', async (req, res, next) => {
+    try {
+        const { totpCode } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, totpSecret: true, isTotpEnabled: true },
+        });
+
+        if (user.isTotpEnabled) {
+            return res.status(409).json({ error: '2FA is already enabled' });
+        }
+
+        if (!user.totpSecret) {
+            return res.status(400).json({ error: 'Setup 2FA first' });
+        }
+
+        // Consumed so the same code cannot also complete a login
+        if (!(await consumeTotp(user, totpCode))) {
+            return res.status(400).json({ error: 'Invalid code. Try again.' });
+        }
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { isTotpEnabled: true },
+        });
+
+        const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+        if (user.email) {
+            await sendTwoFactorChangedEmail(user.email, true);
+        }
+
+        res.json({
+            message: '2FA enabled successfully',
+            recoveryCodes,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/2fa/recovery-codes
+ * Replace recovery codes (requires a current TOTP code)
+ */
+router.post('/2fa/recovery-codes', async (req, res, next) => {
+    try {
+        const { totpCode } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, totpSecret: true, isTotpEnabled: true },
+        });
+
+        if (!user.isTotpEnabled) {
+            return res.status(400).json({ error: '2FA is not enabled' });
+        }
+
+        const failure = await checkSecondFactor(user, { totpCode });
+        if (failure) {
+            return res.status(failure.status).json(failure.body);
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+        res.json({ recoveryCodes });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/2fa/disable
+ * Turn off 2FA (requires a TOTP or recovery code)
+ */
+router.post('/2fa/disable', async (req, res, next) => {
+    try {
+        const { totpCode, recoveryCode } = req.body;
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { id: true, email: true, totpSecret: true, isTotpEnabled: true },
+        });
+
+        if (!user.isTotpEnabled) {
+            return res.status(400).json({ error: '2FA is not enabled' });
+        }
+
+        const failure = await checkSecondFactor(user, { totpCode, recoveryCode });
+        if (failure) {
+            return res.status(failure.status).json(failure.body);
+        }
+
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: user.id },
+                data: { isTotpEnabled: false, totpSecret: null },
+            }),
+            prisma.recoveryCode.deleteMany({ where: { userId: user.id } }),
+        ]);
+
+        if (user.email) {
+            await sendTwoFactorChangedEmail(user.email, false);
+        }
+
+        res.json({ message: '2FA disabled' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/export
+ * Request a copy of all personal data (built in the background)
+ */
+router.post('/export', async (req, res, next) => {
+    try {
+        const latest = await prisma.dataExport.findFirst({
+            where: { userId: req.user.id, status: { not: 'failed' } },
+            orderBy: { createdAt: 'desc' },
+        });
+
+        if (latest && ['pending', 'processing'].includes(latest.status)) {
+            return res.status(409).json({
+                error: 'An export is already being prepared',
+                export: formatExport(latest),
+            });
+        }
+
+        if (latest && Date.now() - latest.createdAt.getTime() < DATA_EXPORT.REQUEST_COOLDOWN_MS) {
+            return res.status(429).json({
+                error: 'You can request one export per day',
+                retryAfter: Math.ceil((latest.createdAt.getTime() + DATA_EXPORT.REQUEST_COOLDOWN_MS - Date.now()) / 1000),
+                export: formatExport(latest),
+            });
+        }
+
+        const dataExport = await prisma.dataExport.create({
+            data: { userId: req.user.id },
+        });
+
+        res.status(202).json({
+            message: 'Export requested. We will notify you when it is ready to download.',
+            export: formatExport(dataExport),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/profile/export
+ * Status of recent exports, with a fresh download link when ready
+ */
+router.get('/export', async (req, res, next) => {
+    try {
+        const exports = await prisma.dataExport.findMany({
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' },
+            take: 5,
+        });
+
+        res.json({ exports: exports.map(formatExport) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+function formatQuietHours(user) {
+    const quietUntil = getQuietHoursEnd(user.quietHours, user.timezone);
+
+    return {
+        timezone: user.timezone,
+        windows: user.quietHours.map(formatWindow),
+        active: Boolean(quietUntil),
+        activeUntil: quietUntil,
+    };
+}
+
+/**
+ * Review state of the user's latest avatar upload (null once approved)
+ */
+async function formatAvatarReview(submission) {
+    if (!submission || submission.status === 'approved') return null;
+
+    return {
+        id: submission.id,
+        status: submission.status,
+        submittedAt: submission.createdAt,
+        rejectionReason: submission.rejectionReason,
+        // Uploaders can see their own pending picture
+        previewUrl: submission.status === 'pending' ? await getSubmissionUrl(submission) : null,
+    };
+}
+
+function formatExport(dataExport) {
+    return {
+        id: dataExport.id,
+        status: dataExport.status,
+        requestedAt: dataExport.createdAt,
+        completedAt: dataExport.completedAt,
+        expiresAt: dataExport.expiresAt,
+        fileSize: dataExport.fileSize,
+        downloadUrl: dataExport.status === 'ready' ? createDownloadUrl(dataExport) : null,
+    };
+}
+
+/**
+ * Second-factor check for 2FA changes. Wrong codes count towards the same
+ * lockout as failed logins, so a stolen access token cannot brute-force codes.
+ * Returns { status, body } to send on failure, or null.
+ */
+async function checkSecondFactor(user, codes) {
+    const lockout = await getLockout(user.id);
+    if (lockout) {
+        return {
+            status: 429,
+            body: { error: 'Too many failed attempts. Please try again later.', retryAfter: lockout.retryAfter },
+        };
+    }
+
+    const { valid } = await verifySecondFactor(user, codes);
+    if (valid) {
+        await clearFailedLogins(user.id);
+        return null;
+    }
+
+    const attempt = await recordFailedLogin(user.id);
+    if (attempt.locked) {
+        await notifyAccountLocked(user, attempt.lockedUntil);
+        return {
+            status: 429,
+            body: { error: 'Too many failed attempts. Please try again later.', retryAfter: attempt.retryAfter },
+        };
+    }
+
+    return { status: 401, body: { error: 'Invalid 2FA code' } };
+}
+
+/**
+ * DELETE /api/profile
+ * Schedule account deletion (GDPR erasure) after a 14-day undo window
+ */
+router.delete('/', async (req, res, next) => {
+    try {
+        const { confirmation } = req.body || {};
+
+        if (confirmation !== 'DELETE_MY_ACCOUNT') {
+            return res.status(400).json({
+                error: 'Please send confirmation: "DELETE_MY_ACCOUNT" to proceed',
+            });
+        }
+
+        const deletionScheduledFor = await scheduleAccountDeletion(req.user.id);
+
+        res.json({
+            message: 'Your account will be permanently deleted. Sign in and cancel before then to keep it.',
+            deletionScheduledFor,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/profile/deletion/cancel
+ * Cancel a scheduled account deletion
+ */
+router.post('/deletion/cancel', async (req, res, next) => {
+    try {
+        const cancelled = await cancelAccountDeletion(req.user.id);
+
+        if (!cancelled) {
+            return res.status(400).json({ error: 'No account deletion is scheduled' });
+        }
 
-        res.json({ message: 'Account and all personal data deleted permanently' });
+        res.json({ message: 'Account deletion cancelled' });
     } catch (error) {
         next(error);
     }
@@ -1,12 +1,13 @@
 const express = require('express');
 const prisma = require('../config/database');
-const { authenticate, requireActive, requireNotSuspended } = require('../middleware/auth');
+const { authenticate, requireOnboarded, requireNotSuspended } = require('../middleware/auth');
 const { REPORT_REASONS } = require('../utils/constants');
+const { PUBLIC_USER_SELECT, presentUser } = require('../utils/presenters');
 
 const router = express.Router();
 
 router.use(authenticate);
-router.use(requireActive);
+router.use(requireOnboarded);
 
 /**
  * POST /api/reports
@@ -167,14 +168,14 @@ router.get('/blocked', async (req, res, next) => {
         const blockedUsers = await prisma.blockedUser.findMany({
             where: { blockerId: req.user.id },
             select: {
-                blocked: {
-                    select: { id: true, displayName: true },
-                },
+                blocked: { select: PUBLIC_USER_SELECT },
                 createdAt: true,
             },
         });
 
-        res.json({ blockedUsers });
+        res.json({
+            blockedUsers: blockedUsers.map((b) => ({ ...b, blocked: presentUser(b.blocked) })),
+        });
     } catch (error) {
         next(error);
     }
@@ -1,13 +1,20 @@
 const express = require('express');
 const prisma = require('../config/database');
-const { authenticate, requireActive, requireNotSuspended } = require('../middleware/auth');
+const { authenticate, requireOnboarded, requireNotSuspended } = require('../middleware/auth');
 const { requireSubscription } = require('../middleware/subscription');
+const { requireCurrentValues } = require('../middleware/values');
+const { sendPushNotification } = require('../services/notificationService');
+const { resolveMentions } = require('../services/handleService');
+const { getBlockedUserIds, countUnreadMessages } = require('../services/roomService');
+const { broadcastRoomMessage, sendRoomUnreadCount, removeFromRoomFeed } = require('../websocket/chatServer');
+const { PUBLIC_USER_SELECT, getPublicName, presentUser } = require('../utils/presenters');
+const { NOTIFICATION_CATEGORIES } = require('../utils/constants');
 
 const router = express.Router();
 
 // All room routes require auth + active status + subscription (for some)
 router.use(authenticate);
-router.use(requireActive);
+router.use(requireOnboarded);
 
 /**
  * GET /api/rooms
@@ -30,18 +37,14 @@ router.get('/', async (req, res, next) => {
             orderBy: { createdAt: 'asc' },
         });
 
+        const blockedIds = await getBlockedUserIds(req.user.id);
+
         const formatted = await Promise.all(rooms.map(async (room) => {
             const member = room.members[0];
             let unreadCount = 0;
 
             if (member && member.lastReadAt) {
-                unreadCount = await prisma.roomMessage.count({
-                    where: {
-                        roomId: room.id,
-                        createdAt: { gt: member.lastReadAt },
-                        senderId: { not: req.user.id }
-                    }
-                });
+                unreadCount = await countUnreadMessages(room.id, req.user.id, member.lastReadAt, blockedIds);
             }
 
             return {
@@ -71,6 +74,10 @@ router.post('/:roomId/read', async (req, res, next) => {
             where: { roomId_userId: { roomId, userId: req.user.id } },
             data: { lastReadAt: new Date() }
         });
+
+        // Clear the badge on the user's other connected devices
+        sendRoomUnreadCount(req.user.id, roomId, 0);
+
         res.json({ success: true });
     } catch (error) {
         next(error);
@@ -120,6 +127,7 @@ router.post('/:roomId/leave', async (req, res, next) => {
         await prisma.roomMember.deleteMany({
             where: { roomId, userId: req.user.id },
         });
+        removeFromRoomFeed(req.user.id, roomId);
 
         res.json({ message: 'Left room' });
     } catch (error) {
@@ -144,25 +152,7 @@ router.get('/:roomId/messages', requireSubscription, async (req, res, next) => {
             return res.status(404).json({ error: 'Room not found' });
         }
 
-        // Get blocked user IDs
-        const blocks = await prisma.blockedUser.findMany({
-            where: {
-                OR: [
-                    { blockerId: req.user.id },
-                    { blockedId: req.user.id },
-                ],
-            },
-            select: {
-                blockerId: true,
-                blockedId: true,
-            },
-        });
-
-        const blockedIds = [];
-        blocks.forEach(block => {
-            if (block.blockerId !== req.user.id) blockedIds.push(block.blockerId);
-            if (block.blockedId !== req.user.id) blockedIds.push(block.blockedId);
-        });
+        const blockedIds = await getBlockedUserIds(req.user.id);
 
         const whereClause = {
             roomId,
@@ -178,9 +168,10 @@ router.get('/:roomId/messages', requireSubscription, async (req, res, next) => {
                 messageText: true,
                 createdAt: true,
                 isFlagged: true,
+                mentions: true,
                 replyToId: true,
-                sender: { select: { id: true, displayName: true, identityMode: true } },
-                replyTo: { select: { id: true, messageText: true, sender: { select: { displayName: true } } } },
+                sender: { select: PUBLIC_USER_SELECT },
+                replyTo: { select: { id: true, messageText: true, sender: { select: PUBLIC_USER_SELECT } } },
             },
         };
 
@@ -220,7 +211,7 @@ router.get('/:roomId/messages', requireSubscription, async (req, res, next) => {
                     const combined = [...contextMessages.reverse(), ...messages];
 
                     res.json({
-                        messages: combined.reverse(),
+                        messages: combined.reverse().map(formatMessage),
                         nextCursor: null,
                         hasMore: false,
                         jumpedToMessageId: firstUnread.id
@@ -238,7 +229,7 @@ router.get('/:roomId/messages', requireSubscription, async (req, res, next) => {
         const messages = await prisma.roomMessage.findMany(queryOptions);
 
         res.json({
-            messages: messages.reverse(),
+            messages: messages.reverse().map(formatMessage),
             nextCursor: messages.length === take ? messages[messages.length - 1]?.id : null,
             hasMore: messages.length === take,
         });
@@ -249,9 +240,9 @@ router.get('/:roomId/messages', requireSubscription, async (req, res, next) => {
 
 /**
  * POST /api/rooms/:roomId/messages
- * Post a message to a room (async feed)
+ * Post a message to a room; also pushed live to members subscribed over the socket
  */
-router.post('/:roomId/messages', requireSubscription, requireNotSuspended, async (req, res, next) => {
+router.post('/:roomId/messages', requireSubscription, requireNotSuspended, requireCurrentValues, async (req, res, next) => {
     try {
         const { roomId } = req.params;
         const { messageText, replyToId } = req.body;
@@ -272,68 +263,91 @@ router.post('/:roomId/messages', requireSubscription, requireNotSuspended, async
             return res.status(403).json({ error: 'You must join this room first' });
         }
 
+        const text = messageText.trim();
+        const mentions = await resolveMentions(text);
+
         const message = await prisma.roomMessage.create({
             data: {
                 roomId,
                 senderId: req.user.id,
-                messageText: messageText.trim(),
+                messageText: text,
+                mentions: mentions.length > 0 ? mentions : undefined,
                 replyToId: replyToId || null,
             },
             select: {
                 id: true,
                 messageText: true,
+                mentions: true,
                 createdAt: true,
                 replyToId: true,
                 replyTo: {
                     select: {
                         id: true,
                         messageText: true,
-                        sender: { select: { displayName: true } }
+                        sender: { select: PUBLIC_USER_SELECT }
                     }
                 },
-                sender: {
-                    select: {
-                        id: true,
-                        displayName: true,
-                    },
-                },
+                sender: { select: PUBLIC_USER_SELECT },
             },
         });
 
         // ─── Handle Mentions ───
-        const mentionMatches = messageText.match(/@([\w\s]+)/g);
-        if (mentionMatches) {
-            const potentialNames = mentionMatches.map(m => m.substring(1).trim());
-            const mentionedUsers = await prisma.user.findMany({
-                where: {
-                    displayName: { in: potentialNames, mode: 'insensitive' },
-                    id: { not: req.user.id },
-                    isActive: true,
-                },
-                select: { id: true, fcmToken: true }
-            });
-
-            if (mentionedUsers.length > 0) {
-                const notificationService = require('../../../services/notificationService');
-                const room = await prisma.room.findUnique({ where: { id: roomId }, select: { name: true } });
-
-                Promise.all(mentionedUsers.map(user => {
-                    return notificationService.sendPushNotification(user.id, {
-                        title: `Mentioned in ${room.name}`,
-                        body: `${req.user.displayName} mentioned you: "${messageText.length > 50 ? messageText.substring(0, 50) + '...' : messageText}"`,
-                        data: {
-                            type: 'mention',
-                            roomId: roomId,
-                        }
-                    });
-                })).catch(err => console.error('Failed to send mention notifications:', err));
-            }
+        // Notify mentioned room members, skipping the sender and anyone with a block either way
+        const mentionedIds = [...new Set(mentions.map((m) => m.userId))].filter((id) => id !== req.user.id);
+        if (mentionedIds.length > 0) {
+            const [recipients, blocks, room] = await Promise.all([
+                prisma.roomMember.findMany({
+                    where: { roomId, userId: { in: mentionedIds } },
+                    select: { userId: true },
+                }),
+                prisma.blockedUser.findMany({
+                    where: {
+                        OR: [
+                            { blockerId: req.user.id, blockedId: { in: mentionedIds } },
+                            { blockedId: req.user.id, blockerId: { in: mentionedIds } },
+                        ],
+                    },
+                    select: { blockerId: true, blockedId: true },
+                }),
+                prisma.room.findUnique({ where: { id: roomId }, select: { name: true } }),
+            ]);
+            const blockedIds = new Set(blocks.flatMap((b) => [b.blockerId, b.blockedId]));
+
+            Promise.all(recipients.filter((r) => !blockedIds.has(r.userId)).map(({ userId }) => {
+                return sendPushNotification(userId, {
+                    category: NOTIFICATION_CATEGORIES.MENTIONS,
+                    title: `Mentioned in ${room.name}`,
+                    body: `${getPublicName(req.user)} mentioned you: "${text.length > 50 ? text.substring(0, 50) + '...' : text}"`,
+                    data: {
+                        type: 'mention',
+                        roomId: roomId,
+                        messageId: message.id,
+                    }
+                });
+            })).catch(err => console.error('Failed to send mention notifications:', err));
         }
 
-        res.status(201).json({ message });
+        // Live delivery to subscribed sockets; the REST feed stays the source of truth
+        broadcastRoomMessage(roomId, formatMessage(message))
+            .catch(err => console.error('Failed to broadcast room message:', err));
+
+        res.status(201).json({ message: formatMessage(message) });
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * Show senders (and quoted senders) by their public names
+ */
+function formatMessage(message) {
+    return {
+        ...message,
+        sender: presentUser(message.sender),
+        ...(message.replyTo && {
+            replyTo: { ...message.replyTo, sender: presentUser(message.replyTo.sender) },
+        }),
+    };
+}
+
 module.exports = router;
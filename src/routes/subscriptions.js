@@ -1,6 +1,7 @@
 const express = require('express');
 const prisma = require('../config/database');
 const { authenticate } = require('../middleware/auth');
+const { rewardReferral } = require('../services/referralService');
 
 const router = express.Router();
 
@@ -53,9 +54,9 @@ router.post('/verify-purchase', async (req, res, next) => {
             expiryDate.setFullYear(expiryDate.getFullYear() + 1);
         }
 
-        // Deactivate any existing active subscriptions
+        // Deactivate any existing active subscriptions (promotional time is kept)
         await prisma.subscription.updateMany({
-            where: { userId: req.user.id, isActive: true },
+            where: { userId: req.user.id, isActive: true, platform: { not: 'promotional' } },
             data: { isActive: false },
         });
 
@@ -78,6 +79,13 @@ router.post('/verify-purchase', async (req, res, next) => {
             data: { isActive: true },
         });
 
+        // First paid purchase of a referred user earns their inviter a bonus
+        try {
+            await rewardReferral(req.user.id);
+        } catch (err) {
+            console.error('Referral reward error:', err.message);
+        }
+
         res.json({
             message: 'Subscription activated',
             subscription: {
@@ -0,0 +1,226 @@
+const express = require('express');
+const prisma = require('../config/database');
+const { authenticate, requireOnboarded, requireNotSuspended } = require('../middleware/auth');
+const { requireSubscription } = require('../middleware/subscription');
+const { getMoodTrends } = require('../services/wellbeingService');
+const { parseTime, toTime } = require('../services/quietHoursService');
+const { MOOD } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticate);
+router.use(requireOnboarded);
+
+const CHECK_IN_SELECT = {
+    id: true,
+    mood: true,
+    note: true,
+    createdAt: true,
+    tags: { select: { intentTag: { select: { id: true, tagName: true } } } },
+};
+
+function formatCheckIn(checkIn) {
+    return {
+        id: checkIn.id,
+        mood: checkIn.mood,
+        note: checkIn.note,
+        tags: checkIn.tags.map((t) => t.intentTag),
+        createdAt: checkIn.createdAt,
+    };
+}
+
+function formatReminder(user) {
+    return {
+        enabled: user.moodReminderMinute !== null,
+        time: user.moodReminderMinute !== null ? toTime(user.moodReminderMinute) : null,
+        timezone: user.timezone || 'UTC',
+    };
+}
+
+/**
+ * GET /api/wellbeing/check-ins
+ * User's mood check-ins, newest first
+ * Cursor-based pagination: ?cursor=<last_check_in_id>&limit=30
+ */
+router.get('/check-ins', async (req, res, next) => {
+    try {
+        const { cursor, limit = 30 } = req.query;
+        const take = Math.min(parseInt(limit) || 30, 100);
+
+        const queryOptions = {
+            where: { userId: req.user.id },
+            orderBy: { createdAt: 'desc' },
+            take,
+            select: CHECK_IN_SELECT,
+        };
+
+        if (cursor) {
+            queryOptions.skip = 1;
+            queryOptions.cursor = { id: cursor };
+        }
+
+        const checkIns = await prisma.moodCheckIn.findMany(queryOptions);
+
+        res.json({
+            checkIns: checkIns.map(formatCheckIn),
+            nextCursor: checkIns.length === take ? checkIns[checkIns.length - 1].id : null,
+            hasMore: checkIns.length === take,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/wellbeing/check-ins
+ * Log how the user is feeling: { mood: 1-5, tagIds?: [intent tag ids], note? }
+ */
+router.post('/check-ins', requireSubscription, requireNotSuspended, async (req, res, next) => {
+    try {
+        const { mood, tagIds = [], note } = req.body;
+
+        if (!Number.isInteger(mood) || mood < MOOD.MIN || mood > MOOD.MAX) {
+            return res.status(400).json({ error: `Mood must be a whole number from ${MOOD.MIN} to ${MOOD.MAX}` });
+        }
+
+        if (!Array.isArray(tagIds) || tagIds.some((id) => !Number.isInteger(id))) {
+            return res.status(400).json({ error: 'tagIds must be a list of tag IDs' });
+        }
+
+        const uniqueTagIds = [...new Set(tagIds)];
+        if (uniqueTagIds.length > MOOD.MAX_TAGS) {
+            return res.status(400).json({ error: `You can pick up to ${MOOD.MAX_TAGS} tags` });
+        }
+
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return res.status(400).json({ error: 'Note must be text' });
+        }
+
+        const trimmedNote = note?.trim() || null;
+        if (trimmedNote && trimmedNote.length > MOOD.NOTE_MAX_LENGTH) {
+            return res.status(400).json({ error: `Note too long (max ${MOOD.NOTE_MAX_LENGTH} characters)` });
+        }
+
+        if (uniqueTagIds.length > 0) {
+            const activeTags = await prisma.intentTag.count({
+                where: { id: { in: uniqueTagIds }, isActive: true },
+            });
+            if (activeTags !== uniqueTagIds.length) {
+                return res.status(400).json({ error: 'One or more tags are invalid or inactive' });
+            }
+        }
+
+        const checkIn = await prisma.moodCheckIn.create({
+            data: {
+                userId: req.user.id,
+                mood,
+                note: trimmedNote,
+                tags: { create: uniqueTagIds.map((intentTagId) => ({ intentTagId })) },
+            },
+            select: CHECK_IN_SELECT,
+        });
+
+        res.status(201).json({ checkIn: formatCheckIn(checkIn) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/wellbeing/check-ins/:id
+ * Delete a check-in
+ */
+router.delete('/check-ins/:id', async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const checkIn = await prisma.moodCheckIn.findFirst({
+            where: { id, userId: req.user.id },
+            select: { id: true },
+        });
+
+        if (!checkIn) {
+            return res.status(404).json({ error: 'Check-in not found' });
+        }
+
+        await prisma.moodCheckIn.delete({ where: { id } });
+
+        res.json({ message: 'Check-in deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/wellbeing/trends?period=week|month
+ * Mood summary for the last 7 or 30 days, compared with the period before
+ */
+router.get('/trends', async (req, res, next) => {
+    try {
+        const { period = 'week' } = req.query;
+
+        if (!MOOD.TREND_PERIOD_DAYS[period]) {
+            return res.status(400).json({ error: 'Invalid period. Use: week or month' });
+        }
+
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { timezone: true },
+        });
+
+        const trends = await getMoodTrends(req.user.id, period, user.timezone);
+
+        res.json({ trends });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/wellbeing/reminder
+ * Daily check-in reminder setting
+ */
+router.get('/reminder', async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.id },
+            select: { moodReminderMinute: true, timezone: true },
+        });
+
+        res.json({ reminder: formatReminder(user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/wellbeing/reminder
+ * Turn the daily reminder on or off: { enabled, time: "20:30" }
+ * The time is in the user's timezone (set under /api/profile/update)
+ */
+router.put('/reminder', async (req, res, next) => {
+    try {
+        const { enabled, time } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+
+        const minute = enabled ? parseTime(time) : null;
+        if (enabled && minute === null) {
+            return res.status(400).json({ error: 'time must be like "20:30"' });
+        }
+
+        const user = await prisma.user.update({
+            where: { id: req.user.id },
+            data: { moodReminderMinute: minute },
+            select: { moodReminderMinute: true, timezone: true },
+        });
+
+        res.json({ message: 'Reminder updated', reminder: formatReminder(user) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -75,6 +75,41 @@ async function start() {
         } catch (err) {
             console.error('⚠️ Subscription worker failed to start:', err.message);
         }
+
+        try {
+            const { startTokenCleanupWorker } = require('./workers/tokenCleanupWorker');
+            startTokenCleanupWorker();
+        } catch (err) {
+            console.error('⚠️ Token cleanup worker failed to start:', err.message);
+        }
+
+        try {
+            const { startDataExportWorker } = require('./workers/dataExportWorker');
+            startDataExportWorker();
+        } catch (err) {
+            console.error('⚠️ Data export worker failed to start:', err.message);
+        }
+
+        try {
+            const { startAccountDeletionWorker } = require('./workers/accountDeletionWorker');
+            startAccountDeletionWorker();
+        } catch (err) {
+            console.error('⚠️ Account deletion worker failed to start:', err.message);
+        }
+
+        try {
+            const { startNotificationSummaryWorker } = require('./workers/notificationSummaryWorker');
+            startNotificationSummaryWorker();
+        } catch (err) {
+            console.error('⚠️ Notification summary worker failed to start:', err.message);
+        }
+
+        try {
+            const { startMoodReminderWorker } = require('./workers/moodReminderWorker');
+            startMoodReminderWorker();
+        } catch (err) {
+            console.error('⚠️ Mood reminder worker failed to start:', err.message);
+        }
     });
 
     // Graceful shutdown
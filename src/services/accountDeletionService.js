@@ -0,0 +1,131 @@
+const prisma = require('../config/database');
+const { deleteExportFile } = require('./dataExportService');
+const { deleteAvatarFiles } = require('./avatarService');
+const { ACCOUNT_DELETION_GRACE_MS, FORMER_MEMBER } = require('../utils/constants');
+
+/**
+ * Account Deletion Service
+ * Deletion is scheduled with an undo window. When it runs, content other
+ * people rely on (room/private messages, matches, reports) is handed to the
+ * "Former member" placeholder instead of being cascaded away; everything
+ * else is deleted with the user.
+ */
+
+/**
+ * Schedule a user's account for deletion
+ */
+async function scheduleAccountDeletion(userId) {
+    const now = new Date();
+    const deletionScheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_MS);
+
+    await prisma.$transaction([
+        prisma.user.update({
+            where: { id: userId },
+            data: { deletionRequestedAt: now, deletionScheduledFor },
+        }),
+        // Stop matching right away
+        prisma.matchQueue.deleteMany({ where: { userId } }),
+    ]);
+
+    return deletionScheduledFor;
+}
+
+/**
+ * Cancel a scheduled deletion. Returns false if none was scheduled.
+ */
+async function cancelAccountDeletion(userId) {
+    const result = await prisma.user.updateMany({
+        where: { id: userId, deletionScheduledFor: { not: null } },
+        data: { deletionRequestedAt: null, deletionScheduledFor: null },
+    });
+
+    return result.count === 1;
+}
+
+/**
+ * Create the placeholder account if it does not exist yet.
+ * It has no login method and is permanently suspended.
+ */
+async function ensureFormerMemberUser() {
+    await prisma.user.upsert({
+        where: { id: FORMER_MEMBER.USER_ID },
+        update: {},
+        create: {
+            id: FORMER_MEMBER.USER_ID,
+            passwordHash: '',
+            displayName: FORMER_MEMBER.DISPLAY_NAME,
+            identityMode: 'nickname',
+            isSuspended: true,
+        },
+    });
+}
+
+/**
+ * Permanently delete an account whose grace period is over.
+ * Deferred while reports against the user are still open, so the
+ * evidence (their messages and profile) stays intact for moderators.
+ * Returns { purged, deferred }.
+ */
+async function purgeAccount(userId) {
+    const openReports = await prisma.report.count({
+        where: { targetUserId: userId, status: { not: 'resolved' } },
+    });
+    if (openReports > 0) {
+        return { purged: false, deferred: true };
+    }
+
+    await ensureFormerMemberUser();
+
+    const [user, exports, pendingAvatars] = await Promise.all([
+        prisma.user.findUnique({
+            where: { id: userId },
+            select: { avatarKey: true, avatarThumbnailKey: true, profilePictureUrl: true, profileThumbnailUrl: true },
+        }),
+        prisma.dataExport.findMany({
+            where: { userId, OR: [{ storageKey: { not: null } }, { filePath: { not: null } }] },
+            select: { storageKey: true, filePath: true },
+        }),
+        prisma.avatarSubmission.findMany({
+            where: { userId, status: 'pending' },
+            select: { avatarKey: true, avatarThumbnailKey: true },
+        }),
+    ]);
+    if (!user) {
+        return { purged: false, deferred: false };
+    }
+
+    const placeholderId = FORMER_MEMBER.USER_ID;
+    const now = new Date();
+
+    await prisma.$transaction([
+        // End live conversations before handing them over
+        prisma.privateMatch.updateMany({
+            where: { OR: [{ userOneId: userId }, { userTwoId: userId }], status: 'active' },
+            data: { status: 'ended', endedAt: now },
+        }),
+        prisma.privateMatch.updateMany({ where: { userOneId: userId }, data: { userOneId: placeholderId } }),
+        prisma.privateMatch.updateMany({ where: { userTwoId: userId }, data: { userTwoId: placeholderId } }),
+        prisma.roomMessage.updateMany({ where: { senderId: userId }, data: { senderId: placeholderId } }),
+        prisma.privateMessage.updateMany({ where: { senderId: userId }, data: { senderId: placeholderId } }),
+        // Reports they filed stay open for review; resolved ones against them keep moderation history
+        prisma.report.updateMany({ where: { reportedBy: userId }, data: { reportedBy: placeholderId } }),
+        prisma.report.updateMany({ where: { targetUserId: userId }, data: { targetUserId: placeholderId } }),
+        prisma.matchQueue.deleteMany({ where: { userId } }),
+        // Cascade removes the rest (vents, intents, memberships, blocks, sessions...)
+        prisma.user.delete({ where: { id: userId } }),
+    ]);
+
+    await Promise.all(exports.map((e) => deleteExportFile(e).catch((error) => {
+        console.error(`Failed to delete export ${e.storageKey || e.filePath}:`, error.message);
+    })));
+    await Promise.all([user, ...pendingAvatars].map((avatar) => deleteAvatarFiles(avatar)));
+
+    return { purged: true, deferred: false };
+}
+
+module.exports = {
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    ensureFormerMemberUser,
+    purgeAccount,
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const prisma = require('../config/database');
+const storage = require('../config/storage');
+const { AVATAR } = require('../utils/constants');
+
+/**
+ * Avatar Service
+ * Decodes uploaded images server-side, then re-encodes them as square WebP
+ * at fixed sizes. Re-encoding drops EXIF/GPS and any other metadata, and
+ * orientation is applied to the pixels first so photos stay upright.
+ * Files live in object storage under avatars/; users store the keys.
+ * New uploads wait in the AvatarSubmission queue until a moderator approves them.
+ */
+
+// Where avatars were written before object storage (still served at /uploads)
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+
+function avatarError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate and re-encode an uploaded image.
+ * Returns { full, thumbnail } WebP buffers.
+ */
+async function processAvatar(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: AVATAR.MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw avatarError('avatar/invalid-image', 'File is not a valid image');
+    }
+
+    if (!AVATAR.FORMATS.includes(metadata.format)) {
+        throw avatarError('avatar/unsupported-format', 'Please upload a JPEG, PNG, WebP, GIF or AVIF image');
+    }
+
+    const encode = (size) => sharp(buffer, { limitInputPixels: AVATAR.MAX_INPUT_PIXELS, failOn: 'error' })
+        .rotate() // Apply EXIF orientation before it is stripped
+        .resize(size, size, { fit: 'cover', position: 'attention' })
+        .webp({ quality: AVATAR.WEBP_QUALITY })
+        .toBuffer();
+
+    try {
+        const [full, thumbnail] = await Promise.all([
+            encode(AVATAR.SIZES.full),
+            encode(AVATAR.SIZES.thumbnail),
+        ]);
+        return { full, thumbnail };
+    } catch (error) {
+        throw avatarError('avatar/invalid-image', 'File is not a valid image');
+    }
+}
+
+/**
+ * Process and store a user's avatar.
+ * Returns { avatarKey, avatarThumbnailKey }.
+ */
+async function saveAvatar(userId, buffer) {
+    const { full, thumbnail } = await processAvatar(buffer);
+
+    // avatars/userId/timestamp-size.webp
+    const baseKey = `avatars/${userId}/${Date.now()}`;
+    const avatarKey = `${baseKey}-${AVATAR.SIZES.full}.webp`;
+    const avatarThumbnailKey = `${baseKey}-${AVATAR.SIZES.thumbnail}.webp`;
+
+    await Promise.all([
+        storage.putObject(avatarKey, full, { contentType: 'image/webp' }),
+        storage.putObject(avatarThumbnailKey, thumbnail, { contentType: 'image/webp' }),
+    ]);
+
+    return { avatarKey, avatarThumbnailKey };
+}
+
+/**
+ * Store an upload as a pending submission.
+ * An earlier submission still awaiting review is superseded and its files removed.
+ */
+async function submitAvatar(userId, buffer) {
+    const keys = await saveAvatar(userId, buffer);
+
+    const pending = await prisma.avatarSubmission.findMany({
+        where: { userId, status: 'pending' },
+        select: { id: true },
+    });
+    const pendingIds = pending.map((s) => s.id);
+
+    const [, submission] = await prisma.$transaction([
+        prisma.avatarSubmission.updateMany({
+            where: { id: { in: pendingIds }, status: 'pending' },
+            data: { status: 'superseded' },
+        }),
+        prisma.avatarSubmission.create({
+            data: { userId, ...keys },
+        }),
+    ]);
+
+    // Skip any a moderator approved in the meantime; those files are in use
+    const superseded = await prisma.avatarSubmission.findMany({
+        where: { id: { in: pendingIds }, status: 'superseded' },
+        select: { avatarKey: true, avatarThumbnailKey: true },
+    });
+    await Promise.all(superseded.map((s) => deleteAvatarFiles(s)));
+
+    return submission;
+}
+
+/**
+ * Claim a pending submission for review. Returns null if it is not pending
+ * (already reviewed, superseded, or another moderator got there first).
+ */
+async function claimSubmission(submissionId, data) {
+    const claimed = await prisma.avatarSubmission.updateMany({
+        where: { id: submissionId, status: 'pending' },
+        data: { ...data, reviewedAt: new Date() },
+    });
+    if (claimed.count === 0) return null;
+
+    return prisma.avatarSubmission.findUnique({ where: { id: submissionId } });
+}
+
+/**
+ * Approve a submission: it becomes the user's avatar and the old files are deleted
+ */
+async function approveAvatarSubmission(submissionId, moderatorId) {
+    const submission = await claimSubmission(submissionId, { status: 'approved', reviewedById: moderatorId });
+    if (!submission) return null;
+
+    const previous = await prisma.user.findUnique({
+        where: { id: submission.userId },
+        select: { avatarKey: true, avatarThumbnailKey: true, profilePictureUrl: true, profileThumbnailUrl: true },
+    });
+
+    await prisma.user.update({
+        where: { id: submission.userId },
+        data: {
+            avatarKey: submission.avatarKey,
+            avatarThumbnailKey: submission.avatarThumbnailKey,
+            profilePictureUrl: null,
+            profileThumbnailUrl: null,
+        },
+    });
+
+    await deleteAvatarFiles(previous);
+
+    return submission;
+}
+
+/**
+ * Reject a submission and delete its files
+ */
+async function rejectAvatarSubmission(submissionId, moderatorId, reason) {
+    const submission = await claimSubmission(submissionId, {
+        status: 'rejected',
+        reviewedById: moderatorId,
+        rejectionReason: reason || null,
+    });
+    if (!submission) return null;
+
+    await deleteAvatarFiles(submission);
+
+    return submission;
+}
+
+/**
+ * Client-facing avatar URLs for a user.
+ * Stored avatars get signed URLs; unmigrated users keep their legacy URL.
+ * Null means no approved avatar yet, so clients show the placeholder.
+ */
+async function getAvatarUrls(user) {
+    if (!user.avatarKey) {
+        return {
+            profilePictureUrl: user.profilePictureUrl || null,
+            profileThumbnailUrl: user.profileThumbnailUrl || null,
+        };
+    }
+
+    const [profilePictureUrl, profileThumbnailUrl] = await Promise.all([
+        storage.getSignedUrl(user.avatarKey, { expiresIn: AVATAR.URL_TTL_SECONDS }),
+        user.avatarThumbnailKey
+            ? storage.getSignedUrl(user.avatarThumbnailKey, { expiresIn: AVATAR.URL_TTL_SECONDS })
+            : null,
+    ]);
+
+    return { profilePictureUrl, profileThumbnailUrl };
+}
+
+/**
+ * Signed URL for reviewing or previewing a submission
+ */
+function getSubmissionUrl(submission) {
+    return storage.getSignedUrl(submission.avatarKey, { expiresIn: AVATAR.URL_TTL_SECONDS });
+}
+
+/**
+ * Delete a user's avatar files: storage keys and any legacy /uploads files.
+ * Failures are logged, never thrown.
+ */
+async function deleteAvatarFiles({ avatarKey, avatarThumbnailKey, profilePictureUrl, profileThumbnailUrl }) {
+    const deletions = [avatarKey, avatarThumbnailKey]
+        .filter(Boolean)
+        .map((key) => storage.deleteObject(key).catch((error) => {
+            console.error(`Failed to delete avatar ${key}:`, error.message);
+        }));
+
+    [profilePictureUrl, profileThumbnailUrl]
+        .filter((url) => url?.startsWith('/uploads/'))
+        .forEach((url) => deletions.push(
+            fs.promises.unlink(path.join(LEGACY_UPLOAD_DIR, path.basename(url))).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Failed to delete avatar ${url}:`, error.message);
+                }
+            })
+        ));
+
+    await Promise.all(deletions);
+}
+
+module.exports = {
+    LEGACY_UPLOAD_DIR,
+    processAvatar,
+    saveAvatar,
+    submitAvatar,
+    approveAvatarSubmission,
+    rejectAvatarSubmission,
+    getAvatarUrls,
+    getSubmissionUrl,
+    deleteAvatarFiles,
+};
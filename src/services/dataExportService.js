@@ -0,0 +1,320 @@
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const storage = require('../config/storage');
+const { DATA_EXPORT, TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+const { PUBLIC_USER_SELECT, getPublicName } = require('../utils/presenters');
+
+/**
+ * Data Export Service
+ * Builds a user's right-of-access archive (zip with JSON + readable text)
+ * and issues time-limited signed download links for it.
+ * Archives are kept in object storage under exports/.
+ */
+
+const API_URL = process.env.API_URL || process.env.APP_URL || 'https://ironroom.app';
+
+/**
+ * Gather everything we hold about a user.
+ * Other people are referred to by their public name only.
+ */
+async function collectUserData(userId) {
+    const [
+        profile,
+        intents,
+        subscriptions,
+        vents,
+        moodCheckIns,
+        roomMessages,
+        privateMessages,
+        reportsFiled,
+        blocks,
+        sessions,
+        identities,
+        valuesConsents,
+    ] = await Promise.all([
+        prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                id: true,
+                email: true,
+                phoneNumber: true,
+                displayName: true,
+                handle: true,
+                identityMode: true,
+                profilePictureUrl: true,
+                avatarKey: true,
+                isActive: true,
+                isVerified: true,
+                agreedToValues: true,
+                agreedToValuesAt: true,
+                isTotpEnabled: true,
+                inviteCode: true,
+                lastLoginAt: true,
+                createdAt: true,
+            },
+        }),
+        prisma.userIntent.findMany({
+            where: { userId },
+            select: { createdAt: true, intentTag: { select: { tagName: true } } },
+        }),
+        prisma.subscription.findMany({
+            where: { userId },
+            orderBy: { startDate: 'asc' },
+            select: {
+                planType: true,
+                platform: true,
+                startDate: true,
+                expiryDate: true,
+                isActive: true,
+                transactionId: true,
+            },
+        }),
+        prisma.vent.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'asc' },
+            select: { content: true, autoDeleteAt: true, createdAt: true },
+        }),
+        prisma.moodCheckIn.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'asc' },
+            select: {
+                mood: true,
+                note: true,
+                createdAt: true,
+                tags: { select: { intentTag: { select: { tagName: true } } } },
+            },
+        }),
+        prisma.roomMessage.findMany({
+            where: { senderId: userId },
+            orderBy: { createdAt: 'asc' },
+            select: { messageText: true, createdAt: true, room: { select: { name: true } } },
+        }),
+        prisma.privateMessage.findMany({
+            where: { senderId: userId },
+            orderBy: { createdAt: 'asc' },
+            select: { matchId: true, messageText: true, createdAt: true },
+        }),
+        prisma.report.findMany({
+            where: { reportedBy: userId },
+            orderBy: { createdAt: 'asc' },
+            select: {
+                reason: true,
+                status: true,
+                createdAt: true,
+                targetUser: { select: PUBLIC_USER_SELECT },
+            },
+        }),
+        prisma.blockedUser.findMany({
+            where: { blockerId: userId },
+            orderBy: { createdAt: 'asc' },
+            select: { createdAt: true, blocked: { select: PUBLIC_USER_SELECT } },
+        }),
+        prisma.session.findMany({
+            where: { userId },
+            orderBy: { createdAt: 'asc' },
+            select: {
+                deviceName: true,
+                platform: true,
+                ipAddress: true,
+                lastSeenAt: true,
+                revokedAt: true,
+                createdAt: true,
+            },
+        }),
+        prisma.userIdentity.findMany({
+            where: { userId },
+            select: { provider: true, email: true, createdAt: true, lastUsedAt: true },
+        }),
+        prisma.valuesConsent.findMany({
+            where: { userId },
+            orderBy: { agreedAt: 'asc' },
+            select: { agreedAt: true, version: { select: { version: true, title: true } } },
+        }),
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        intents: intents.map((i) => ({ tag: i.intentTag.tagName, addedAt: i.createdAt })),
+        subscriptions,
+        vents,
+        moodCheckIns: moodCheckIns.map((c) => ({
+            mood: c.mood,
+            tags: c.tags.map((t) => t.intentTag.tagName),
+            note: c.note,
+            createdAt: c.createdAt,
+        })),
+        roomMessages: roomMessages.map((m) => ({
+            room: m.room.name,
+            messageText: m.messageText,
+            createdAt: m.createdAt,
+        })),
+        privateMessages: privateMessages.map((m) => ({
+            conversationId: m.matchId,
+            messageText: m.messageText,
+            createdAt: m.createdAt,
+        })),
+        reportsFiled: reportsFiled.map((r) => ({
+            reportedUser: getPublicName(r.targetUser),
+            reason: r.reason,
+            status: r.status,
+            createdAt: r.createdAt,
+        })),
+        blockedUsers: blocks.map((b) => ({ displayName: getPublicName(b.blocked), blockedAt: b.createdAt })),
+        devices: sessions,
+        linkedSignIns: identities,
+        valuesAgreements: valuesConsents.map((c) => ({
+            version: c.version.version,
+            title: c.version.title,
+            agreedAt: c.agreedAt,
+        })),
+    };
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-';
+}
+
+/**
+ * Render the export as a plain-text document for people to read
+ */
+function renderText(data) {
+    const lines = [];
+    const section = (title, items, format) => {
+        lines.push('', title.toUpperCase(), '='.repeat(title.length), '');
+        if (items.length === 0) {
+            lines.push('(none)');
+        }
+        items.forEach((item) => lines.push(format(item)));
+    };
+
+    const p = data.profile;
+    lines.push('IronRoom data export', `Created ${formatDate(data.exportedAt)}`);
+
+    section('Profile', [p], () => [
+        `Display name: ${p.displayName}`,
+        `Handle: ${p.handle ? `@${p.handle}` : '-'}`,
+        `Name shown as: ${p.identityMode}`,
+        `Email: ${p.email || '-'}`,
+        `Phone: ${p.phoneNumber || '-'}`,
+        `Member since: ${formatDate(p.createdAt)}`,
+        `Last login: ${formatDate(p.lastLoginAt)}`,
+        `Two-factor authentication: ${p.isTotpEnabled ? 'on' : 'off'}`,
+        `Invite code: ${p.inviteCode || '-'}`,
+    ].join('\n'));
+    section('Intents', data.intents, (i) => `- ${i.tag.replace(/_/g, ' ')}`);
+    section('Subscriptions', data.subscriptions, (s) =>
+        `- ${s.planType} via ${s.platform}: ${formatDate(s.startDate)} to ${formatDate(s.expiryDate)}${s.isActive ? ' (active)' : ''}`);
+    section('Vents', data.vents, (v) => `[${formatDate(v.createdAt)}]\n${v.content}\n`);
+    section('Mood check-ins', data.moodCheckIns, (c) =>
+        `[${formatDate(c.createdAt)}] ${c.mood}/5${c.tags.length > 0 ? ` (${c.tags.join(', ').replace(/_/g, ' ')})` : ''}${c.note ? `\n${c.note}\n` : ''}`);
+    section('Room messages', data.roomMessages, (m) => `[${formatDate(m.createdAt)}] ${m.room}: ${m.messageText}`);
+    section('Private messages you sent', data.privateMessages, (m) =>
+        `[${formatDate(m.createdAt)}] (conversation ${m.conversationId.slice(0, 8)}) ${m.messageText}`);
+    section('Reports you filed', data.reportsFiled, (r) =>
+        `- ${formatDate(r.createdAt)}: ${r.reportedUser}, ${r.reason} (${r.status})`);
+    section('People you blocked', data.blockedUsers, (b) => `- ${b.displayName} (${formatDate(b.blockedAt)})`);
+    section('Devices', data.devices, (d) =>
+        `- ${d.deviceName || d.platform || 'Unknown device'}, last seen ${formatDate(d.lastSeenAt)}${d.revokedAt ? ' (signed out)' : ''}`);
+    section('Linked sign-ins', data.linkedSignIns, (i) => `- ${i.provider}${i.email ? ` (${i.email})` : ''}`);
+    section('Community values agreements', data.valuesAgreements, (c) =>
+        `- v${c.version} "${c.title}" on ${formatDate(c.agreedAt)}`);
+
+    return lines.join('\n') + '\n';
+}
+
+function getExportStorageKey(dataExport) {
+    return `exports/${dataExport.userId}/${dataExport.id}.zip`;
+}
+
+/**
+ * Build the zip archive for an export and store it.
+ * Returns { storageKey, fileSize }.
+ */
+async function buildExportArchive(dataExport) {
+    const data = await collectUserData(dataExport.userId);
+    if (!data.profile) {
+        throw new Error('User no longer exists');
+    }
+
+    // Ship the picture itself rather than a storage key
+    const { avatarKey, ...profile } = data.profile;
+    data.profile = profile;
+    const avatar = avatarKey
+        ? await storage.getObject(avatarKey).catch((error) => {
+            console.warn(`Export ${dataExport.id}: avatar ${avatarKey} unreadable:`, error.message);
+            return null;
+        })
+        : null;
+
+    const archive = await new Promise((resolve, reject) => {
+        const zip = archiver('zip', { zlib: { level: 9 } });
+        const output = new PassThrough();
+        const chunks = [];
+
+        output.on('data', (chunk) => chunks.push(chunk));
+        output.on('end', () => resolve(Buffer.concat(chunks)));
+        zip.on('error', reject);
+
+        zip.pipe(output);
+        zip.append(JSON.stringify(data, null, 2), { name: 'ironroom-data.json' });
+        zip.append(renderText(data), { name: 'ironroom-data.txt' });
+        if (avatar) {
+            zip.append(avatar, { name: 'profile-picture.webp' });
+        }
+        zip.finalize();
+    });
+
+    const storageKey = getExportStorageKey(dataExport);
+    await storage.putObject(storageKey, archive, { contentType: 'application/zip' });
+
+    return { storageKey, fileSize: archive.length };
+}
+
+/**
+ * Signed, time-limited download link for a ready export
+ */
+function createDownloadUrl(dataExport) {
+    const token = jwtKeys.access.sign(
+        { exportId: dataExport.id, userId: dataExport.userId },
+        { audience: TOKEN_AUDIENCES.APP, typ: TOKEN_TYPES.EXPORT_DOWNLOAD, expiresIn: DATA_EXPORT.LINK_TTL }
+    );
+
+    return `${API_URL}/api/exports/${dataExport.id}/download?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Verify a download link token (throws jsonwebtoken errors)
+ */
+function verifyDownloadToken(token) {
+    return jwtKeys.access.verify(token, {
+        audience: TOKEN_AUDIENCES.APP,
+        typ: TOKEN_TYPES.EXPORT_DOWNLOAD,
+    });
+}
+
+/**
+ * Remove an export archive from storage, or a legacy one from local disk
+ * (ignores missing files)
+ */
+async function deleteExportFile({ storageKey, filePath }) {
+    if (storageKey) {
+        await storage.deleteObject(storageKey);
+    }
+    if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+}
+
+module.exports = {
+    collectUserData,
+    renderText,
+    buildExportArchive,
+    getExportStorageKey,
+    createDownloadUrl,
+    verifyDownloadToken,
+    deleteExportFile,
+};
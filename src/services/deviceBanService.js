@@ -0,0 +1,51 @@
+const prisma = require('../config/database');
+
+/**
+ * Device Ban Service
+ * Keeps banned users from coming back on the same phone under a new account
+ */
+
+/**
+ * Check whether a device ID is banned
+ */
+async function isDeviceBanned(deviceId) {
+    if (!deviceId) return false;
+
+    const ban = await prisma.bannedDevice.findUnique({ where: { deviceId } });
+    return !!ban;
+}
+
+/**
+ * A permanent ban is a suspension with no end date
+ */
+function isPermanentlyBanned(user) {
+    return user.isSuspended && !user.suspendedUntil;
+}
+
+/**
+ * Ban every device a user has signed in from.
+ * Returns the list of banned device IDs.
+ */
+async function banUserDevices(userId, moderatorId, reason) {
+    const [user, sessions] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId }, select: { deviceId: true } }),
+        prisma.session.findMany({
+            where: { userId, deviceId: { not: null } },
+            distinct: ['deviceId'],
+            select: { deviceId: true },
+        }),
+    ]);
+
+    const deviceIds = [...new Set([user?.deviceId, ...sessions.map((s) => s.deviceId)].filter(Boolean))];
+
+    if (deviceIds.length > 0) {
+        await prisma.bannedDevice.createMany({
+            data: deviceIds.map((deviceId) => ({ deviceId, userId, bannedBy: moderatorId, reason })),
+            skipDuplicates: true,
+        });
+    }
+
+    return deviceIds;
+}
+
+module.exports = { isDeviceBanned, isPermanentlyBanned, banUserDevices };
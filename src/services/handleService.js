@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { HANDLE } = require('../utils/constants');
+
+/**
+ * Handle Service
+ * Unique, changeable @handles and the mention parsing built on them.
+ * Handles are stored lowercase; "@Sam_R" and "@sam_r" are the same person.
+ */
+
+const HANDLE_RE = new RegExp(`^[a-z][a-z0-9_]{${HANDLE.MIN_LENGTH - 1},${HANDLE.MAX_LENGTH - 1}}$`);
+
+// "@handle" at the start or after a non-handle character (so emails don't match)
+const MENTION_RE = /(^|[^A-Za-z0-9_@])@([A-Za-z][A-Za-z0-9_]*)/g;
+
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g' };
+
+function normalizeHandle(handle) {
+    return String(handle || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Check a normalized handle. Returns an error message, or null if allowed.
+ */
+function validateHandle(handle) {
+    if (!HANDLE_RE.test(handle)) {
+        return `Handles are ${HANDLE.MIN_LENGTH}-${HANDLE.MAX_LENGTH} characters: letters, numbers and underscores, starting with a letter`;
+    }
+
+    if (HANDLE.RESERVED.includes(handle)) {
+        return 'That handle is reserved';
+    }
+
+    const deobfuscated = handle.replace(/[0-9]/g, (d) => LOOKALIKES[d] || d).replace(/_/g, '');
+    if (HANDLE.BLOCKED_TERMS.some((term) => deobfuscated.includes(term))) {
+        return 'That handle is not allowed';
+    }
+
+    return null;
+}
+
+/**
+ * True if no one else has the handle
+ */
+async function isHandleAvailable(handle, userId) {
+    const owner = await prisma.user.findUnique({ where: { handle }, select: { id: true } });
+    return !owner || owner.id === userId;
+}
+
+/**
+ * Change a user's handle. Returns { handle } or { error, status }.
+ */
+async function setHandle(userId, input) {
+    const handle = normalizeHandle(input);
+
+    const error = validateHandle(handle);
+    if (error) return { error, status: 400 };
+
+    try {
+        await prisma.user.update({ where: { id: userId }, data: { handle } });
+        return { handle };
+    } catch (err) {
+        if (err.code === 'P2002') return { error: 'That handle is taken', status: 409 };
+        throw err;
+    }
+}
+
+/**
+ * Starting handle derived from the display name ("José Díaz" → "jose"),
+ * with a random number added when the plain one is not usable
+ */
+function suggestHandle(displayName, withSuffix) {
+    let base = String(displayName || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/\s+/)[0]
+        .replace(/[^a-z0-9_]/g, '')
+        .replace(/^[^a-z]+/, '')
+        .slice(0, HANDLE.MAX_LENGTH - 5);
+
+    if (base.length < HANDLE.MIN_LENGTH || validateHandle(base)) {
+        base = 'member';
+        withSuffix = true;
+    }
+
+    return withSuffix ? `${base}_${crypto.randomInt(1000, 10000)}` : base;
+}
+
+/**
+ * Give a user a handle based on their display name if they have none yet
+ */
+async function getOrCreateHandle(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { handle: true, displayName: true },
+    });
+    if (user.handle) return user.handle;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const updated = await prisma.user.update({
+                where: { id: userId },
+                data: { handle: suggestHandle(user.displayName, attempt > 0) },
+                select: { handle: true },
+            });
+            return updated.handle;
+        } catch (error) {
+            if (error.code !== 'P2002') throw error; // Handle taken, try another
+        }
+    }
+
+    throw new Error('Could not generate a unique handle');
+}
+
+/**
+ * Find @handle tokens in text.
+ * Returns [{ handle, start, end }]; start/end are string offsets covering "@handle".
+ */
+function parseMentions(text) {
+    const mentions = [];
+
+    for (const match of text.matchAll(MENTION_RE)) {
+        const handle = match[2].toLowerCase();
+        if (handle.length < HANDLE.MIN_LENGTH || handle.length > HANDLE.MAX_LENGTH) continue;
+
+        const start = match.index + match[1].length;
+        mentions.push({ handle, start, end: start + 1 + match[2].length });
+    }
+
+    return mentions;
+}
+
+/**
+ * Parse mentions and resolve them to users.
+ * Unknown handles are dropped; returns spans ready to store on a message.
+ */
+async function resolveMentions(text) {
+    const parsed = parseMentions(text);
+    const handles = [...new Set(parsed.map((m) => m.handle))].slice(0, HANDLE.MAX_MENTIONS_PER_MESSAGE);
+    if (handles.length === 0) return [];
+
+    const users = await prisma.user.findMany({
+        where: { handle: { in: handles } },
+        select: { id: true, handle: true },
+    });
+    const idByHandle = new Map(users.map((u) => [u.handle, u.id]));
+
+    return parsed
+        .filter((m) => idByHandle.has(m.handle))
+        .map((m) => ({ userId: idByHandle.get(m.handle), ...m }));
+}
+
+module.exports = {
+    normalizeHandle,
+    validateHandle,
+    isHandleAvailable,
+    setHandle,
+    getOrCreateHandle,
+    parseMentions,
+    resolveMentions,
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const identityProviders = require('../config/identityProviders');
+
+/**
+ * Identity Service
+ * Verifies Apple/Google identity tokens against the provider's JWKS
+ */
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // Unknown kid refetch at most once a minute
+
+// jwksUrl -> { keys: Map<kid, KeyObject>, fetchedAt }
+const jwksCache = new Map();
+
+function identityError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+async function fetchJwks(jwksUrl) {
+    let keys;
+    try {
+        const response = await fetch(jwksUrl, { signal: AbortSignal.timeout(5000) });
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
+        ({ keys = [] } = await response.json());
+    } catch (error) {
+        // Provider unreachable: not the token's fault
+        throw identityError('identity/unavailable', `JWKS fetch failed for ${jwksUrl}: ${error.message}`);
+    }
+
+    const keyMap = new Map();
+    for (const jwk of keys) {
+        if (!jwk.kid) continue;
+        keyMap.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+
+    const entry = { keys: keyMap, fetchedAt: Date.now() };
+    jwksCache.set(jwksUrl, entry);
+    return entry;
+}
+
+/**
+ * Find the signing key for a kid, refetching the JWKS when it is stale
+ * or the kid is unknown (provider rotated keys)
+ */
+async function getSigningKey(jwksUrl, kid) {
+    let entry = jwksCache.get(jwksUrl);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (!entry || age > JWKS_CACHE_TTL_MS || (!entry.keys.has(kid) && age > JWKS_MIN_REFETCH_MS)) {
+        entry = await fetchJwks(jwksUrl);
+    }
+
+    return entry.keys.get(kid);
+}
+
+/**
+ * Verify an identity token from a provider.
+ * Returns { subject, email, emailVerified, name }.
+ * Throws errors with code 'identity/...' for invalid tokens, or
+ * 'identity/unavailable' when the provider's keys cannot be fetched.
+ */
+async function verifyIdentityToken(provider, identityToken) {
+    const config = identityProviders[provider];
+    if (!config) {
+        throw identityError('identity/unsupported-provider', `Unsupported provider: ${provider}`);
+    }
+    if (config.audiences.length === 0) {
+        throw new Error(`${provider} sign-in is not configured (missing client IDs)`);
+    }
+
+    const decoded = jwt.decode(identityToken, { complete: true });
+    if (!decoded?.header?.kid) {
+        throw identityError('identity/invalid-token', 'Malformed identity token');
+    }
+
+    const key = await getSigningKey(config.jwksUrl, decoded.header.kid);
+    if (!key) {
+        throw identityError('identity/invalid-token', 'Unknown signing key');
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(identityToken, key, {
+            algorithms: ['RS256'],
+            issuer: config.issuers,
+            audience: config.audiences,
+        });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw identityError('identity/token-expired', 'Identity token expired');
+        }
+        throw identityError('identity/invalid-token', error.message);
+    }
+
+    return {
+        subject: claims.sub,
+        email: claims.email || null,
+        // Apple sends "true"/"false" strings, Google sends booleans
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || null,
+    };
+}
+
+/**
+ * Count the ways a user can sign in (email+password, phone, linked providers)
+ */
+function countLoginMethods(user, identities = []) {
+    let count = identities.length;
+    if (user.email && user.passwordHash) count++;
+    if (user.phoneNumber) count++;
+    return count;
+}
+
+module.exports = { verifyIdentityToken, countLoginMethods };
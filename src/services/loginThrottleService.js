@@ -0,0 +1,161 @@
+const redis = require('../config/redis');
+const { sendPushNotification } = require('./notificationService');
+const { sendAccountLockedEmail } = require('./mailService');
+const { LOGIN_THROTTLE, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+
+/**
+ * Login Throttle Service
+ * Per-account failed login tracking with exponential lockouts.
+ * Complements the per-IP authLimiter: an account attacked from many IPs still locks.
+ * Identifiers with no account are tracked the same way, so responses do not
+ * reveal whether an account exists.
+ * Fails open (no throttling) while Redis is unavailable.
+ */
+
+const failKey = (userId) => `login:fail:${userId}`;
+const lockKey = (userId) => `login:lock:${userId}`;
+const lockoutCountKey = (userId) => `login:lockouts:${userId}`;
+const LOCKED_SET = 'login:locked'; // userId scored by lockedUntil, for the admin view
+const UNKNOWN_PREFIX = 'unknown:';
+
+/**
+ * Throttle key for a login attempt: the account, or the identifier itself when
+ * no account matches
+ */
+function getThrottleId(user, identifier) {
+    return user ? user.id : `${UNKNOWN_PREFIX}${String(identifier).trim().toLowerCase()}`;
+}
+
+function redisReady() {
+    return redis.status === 'ready';
+}
+
+/**
+ * Get the active lockout for an account, or null
+ */
+async function getLockout(userId) {
+    if (!redisReady()) return null;
+
+    try {
+        const ttl = await redis.pttl(lockKey(userId));
+        if (ttl <= 0) return null;
+
+        const lockedUntil = new Date(Date.now() + ttl);
+        return { lockedUntil, retryAfter: Math.ceil(ttl / 1000) };
+    } catch (error) {
+        console.error('Login throttle lookup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Record a failed login. Locks the account once the limit is reached.
+ * Returns { locked, lockedUntil, retryAfter } when this failure triggered a lockout.
+ */
+async function recordFailedLogin(userId) {
+    if (!redisReady()) return { locked: false };
+
+    try {
+        const failures = await redis.incr(failKey(userId));
+        if (failures === 1) {
+            await redis.pexpire(failKey(userId), LOGIN_THROTTLE.FAILURE_WINDOW_MS);
+        }
+
+        if (failures < LOGIN_THROTTLE.MAX_FAILED_ATTEMPTS) {
+            return { locked: false };
+        }
+
+        // Each lockout within the history window doubles the duration
+        const lockouts = await redis.incr(lockoutCountKey(userId));
+        await redis.pexpire(lockoutCountKey(userId), LOGIN_THROTTLE.LOCKOUT_HISTORY_MS);
+
+        const duration = Math.min(
+            LOGIN_THROTTLE.BASE_LOCKOUT_MS * 2 ** (lockouts - 1),
+            LOGIN_THROTTLE.MAX_LOCKOUT_MS
+        );
+        const lockedUntil = new Date(Date.now() + duration);
+
+        const multi = redis.multi()
+            .set(lockKey(userId), String(lockouts), 'PX', duration)
+            .del(failKey(userId));
+        if (!userId.startsWith(UNKNOWN_PREFIX)) {
+            multi.zadd(LOCKED_SET, lockedUntil.getTime(), userId);
+        }
+        await multi.exec();
+
+        console.warn(`🔒 Account ${userId} locked until ${lockedUntil.toISOString()} (lockout #${lockouts})`);
+
+        return { locked: true, lockedUntil, retryAfter: Math.ceil(duration / 1000) };
+    } catch (error) {
+        console.error('Login throttle update failed:', error.message);
+        return { locked: false };
+    }
+}
+
+/**
+ * Reset failure count after a successful login
+ */
+async function clearFailedLogins(userId) {
+    if (!redisReady()) return;
+
+    try {
+        await redis.del(failKey(userId));
+    } catch (error) {
+        console.error('Login throttle reset failed:', error.message);
+    }
+}
+
+/**
+ * Tell the account owner their login was locked after repeated failures
+ */
+async function notifyAccountLocked(user, lockedUntil) {
+    await sendPushNotification(user.id, {
+        category: NOTIFICATION_CATEGORIES.ACCOUNT,
+        title: 'Sign-in attempts blocked',
+        body: 'We paused sign-ins to your account after several wrong passwords. If this was not you, reset your password.',
+        data: { type: 'account_locked' },
+    });
+
+    if (user.email) {
+        await sendAccountLockedEmail(user.email, lockedUntil);
+    }
+}
+
+/**
+ * Lift a lockout and reset backoff (admin action)
+ */
+async function unlockAccount(userId) {
+    if (!redisReady()) throw new Error('Redis unavailable');
+
+    await redis.multi()
+        .del(lockKey(userId), failKey(userId), lockoutCountKey(userId))
+        .zrem(LOCKED_SET, userId)
+        .exec();
+}
+
+/**
+ * List currently locked accounts as [{ userId, lockedUntil }]
+ */
+async function listLockedAccounts() {
+    if (!redisReady()) throw new Error('Redis unavailable');
+
+    const now = Date.now();
+    await redis.zremrangebyscore(LOCKED_SET, '-inf', now);
+
+    const entries = await redis.zrangebyscore(LOCKED_SET, now, '+inf', 'WITHSCORES');
+    const locked = [];
+    for (let i = 0; i < entries.length; i += 2) {
+        locked.push({ userId: entries[i], lockedUntil: new Date(parseInt(entries[i + 1])) });
+    }
+    return locked;
+}
+
+module.exports = {
+    getThrottleId,
+    getLockout,
+    recordFailedLogin,
+    clearFailedLogins,
+    notifyAccountLocked,
+    unlockAccount,
+    listLockedAccounts,
+};
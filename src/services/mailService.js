@@ -0,0 +1,150 @@
+const { sendMail } = require('../config/mailer');
+
+const APP_URL = process.env.APP_URL || 'https://ironroom.app';
+
+/**
+ * Send an email, logging (not throwing) on failure
+ */
+async function deliver(to, subject, text) {
+    try {
+        await sendMail({ to, subject, text });
+    } catch (error) {
+        console.error(`Failed to send email to ${to}:`, error.message);
+    }
+}
+
+/**
+ * Send the email verification link and code
+ */
+async function sendVerificationEmail(email, { token, code }) {
+    await deliver(
+        email,
+        'Verify your IronRoom email',
+        [
+            'Welcome to IronRoom.',
+            '',
+            `Your verification code is: ${code}`,
+            '',
+            'Or open this link on your phone:',
+            `${APP_URL}/verify-email?token=${token}`,
+            '',
+            'If you did not create an account, you can ignore this email.',
+        ].join('\n')
+    );
+}
+
+/**
+ * Send the code confirming an email being added to an existing account
+ */
+async function sendEmailLinkEmail(email, { code }) {
+    await deliver(
+        email,
+        'Confirm your email for IronRoom',
+        [
+            'You asked to add this email address to your IronRoom account.',
+            '',
+            `Your confirmation code is: ${code}`,
+            '',
+            'If this was not you, you can ignore this email.',
+        ].join('\n')
+    );
+}
+
+/**
+ * Send the password reset link and code
+ */
+async function sendPasswordResetEmail(email, { token, code }) {
+    await deliver(
+        email,
+        'Reset your IronRoom password',
+        [
+            'We received a request to reset your IronRoom password.',
+            '',
+            `Your reset code is: ${code}`,
+            '',
+            'Or open this link on your phone:',
+            `${APP_URL}/reset-password?token=${token}`,
+            '',
+            'This code expires in 1 hour. If you did not ask for a reset, you can ignore this email.',
+        ].join('\n')
+    );
+}
+
+/**
+ * Let the owner know their password was changed
+ */
+async function sendPasswordChangedEmail(email) {
+    await deliver(
+        email,
+        'Your IronRoom password was changed',
+        [
+            'The password for your IronRoom account was just changed and all devices were signed out.',
+            '',
+            'If this was not you, reset your password right away from the app.',
+        ].join('\n')
+    );
+}
+
+/**
+ * Warn the owner that repeated failed logins locked their account
+ */
+async function sendAccountLockedEmail(email, lockedUntil) {
+    await deliver(
+        email,
+        'Sign-in attempts to your IronRoom account were blocked',
+        [
+            'Someone entered the wrong password for your IronRoom account several times,',
+            `so we paused sign-ins until ${lockedUntil.toISOString()}.`,
+            '',
+            'If this was you, just wait and try again.',
+            `If it was not, reset your password: ${APP_URL}/forgot-password`,
+        ].join('\n')
+    );
+}
+
+/**
+ * Tell the owner two-factor authentication was turned on or off
+ */
+async function sendTwoFactorChangedEmail(email, enabled) {
+    await deliver(
+        email,
+        enabled
+            ? 'Two-factor authentication is on for your IronRoom account'
+            : 'Two-factor authentication was turned off for your IronRoom account',
+        [
+            enabled
+                ? 'Signing in to IronRoom now needs a code from your authenticator app. Keep your recovery codes somewhere safe.'
+                : 'Signing in to IronRoom no longer needs a code from your authenticator app.',
+            '',
+            `If this was not you, reset your password right away: ${APP_URL}/forgot-password`,
+        ].join('\n')
+    );
+}
+
+/**
+ * Send the signed download link for a finished data export
+ */
+async function sendDataExportReadyEmail(email, downloadUrl) {
+    await deliver(
+        email,
+        'Your IronRoom data export is ready',
+        [
+            'The copy of your IronRoom data you asked for is ready to download:',
+            downloadUrl,
+            '',
+            'This link works for 24 hours. You can get a new link from the app while the export is available (7 days).',
+            '',
+            'If you did not request this, reset your password right away from the app.',
+        ].join('\n')
+    );
+}
+
+module.exports = {
+    sendVerificationEmail,
+    sendEmailLinkEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendAccountLockedEmail,
+    sendTwoFactorChangedEmail,
+    sendDataExportReadyEmail,
+};
@@ -1,7 +1,7 @@
 const { Worker, Queue } = require('bullmq');
 const redis = require('../config/redis');
 const prisma = require('../config/database');
-const { MATCH_SCORING } = require('../utils/constants');
+const { MATCH_SCORING, NOTIFICATION_CATEGORIES } = require('../utils/constants');
 
 const matchmakingQueue = new Queue('matchmaking', { connection: redis });
 
@@ -113,6 +113,7 @@ async function processMatchmakingQueue() {
 
                 const { sendPushNotification } = require('./notificationService');
                 await sendPushNotification(user.userId, {
+                    category: NOTIFICATION_CATEGORIES.MATCHES,
                     title: 'No match found yet',
                     body: 'While we search, you can join a room meantime.',
                     data: { type: 'match_timeout' },
@@ -154,11 +155,13 @@ async function createMatch(userA, userB) {
     // Also send push notifications
     const { sendPushNotification } = require('./notificationService');
     await sendPushNotification(userA.userId, {
+        category: NOTIFICATION_CATEGORIES.MATCHES,
         title: 'Match found',
         body: 'You have been connected with someone ready to talk',
         data: { type: 'match_found', matchId: match.id },
     });
     await sendPushNotification(userB.userId, {
+        category: NOTIFICATION_CATEGORIES.MATCHES,
         title: 'Match found',
         body: 'You have been connected with someone ready to talk',
         data: { type: 'match_found', matchId: match.id },
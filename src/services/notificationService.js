@@ -1,55 +1,177 @@
 const firebaseAdmin = require('../config/firebase');
 const prisma = require('../config/database');
+const { getUserQuietHoursEnd } = require('./quietHoursService');
+const { NOTIFICATION_CATEGORIES, MANDATORY_NOTIFICATION_CATEGORIES } = require('../utils/constants');
+
+const CATEGORIES = Object.values(NOTIFICATION_CATEGORIES);
+const OPTIONAL_CATEGORIES = CATEGORIES.filter((c) => !MANDATORY_NOTIFICATION_CATEGORIES.includes(c));
+
+/**
+ * A user's switchable categories as { category: enabled } (default on)
+ */
+async function getNotificationSettings(userId) {
+    const preferences = await prisma.notificationPreference.findMany({
+        where: { userId },
+        select: { category: true, enabled: true },
+    });
+    const stored = new Map(preferences.map((p) => [p.category, p.enabled]));
+
+    return Object.fromEntries(OPTIONAL_CATEGORIES.map((c) => [c, stored.get(c) ?? true]));
+}
+
+/**
+ * Save { category: enabled } changes for switchable categories
+ */
+async function updateNotificationSettings(userId, changes) {
+    await prisma.$transaction(Object.entries(changes).map(([category, enabled]) =>
+        prisma.notificationPreference.upsert({
+            where: { userId_category: { userId, category } },
+            update: { enabled },
+            create: { userId, category, enabled },
+        })
+    ));
+
+    return getNotificationSettings(userId);
+}
+
+/**
+ * True if the user wants pushes in this category
+ */
+async function isCategoryEnabled(userId, category) {
+    if (MANDATORY_NOTIFICATION_CATEGORIES.includes(category)) return true;
+
+    const preference = await prisma.notificationPreference.findUnique({
+        where: { userId_category: { userId, category } },
+        select: { enabled: true },
+    });
+    return preference?.enabled ?? true;
+}
 
 /**
  * Send push notification to a user via FCM
+ * Delivered to every signed-in device with a push token.
+ * notification.category (NOTIFICATION_CATEGORIES) is required and checked
+ * against the user's notification settings. During the user's quiet hours,
+ * anything but account/safety pushes is held and sent as a summary later.
  */
 async function sendPushNotification(userId, notification) {
+    try {
+        if (!CATEGORIES.includes(notification.category)) {
+            console.error(`Push notification "${notification.title}" has no valid category, not sent`);
+            return;
+        }
+
+        if (!(await isCategoryEnabled(userId, notification.category))) {
+            return;
+        }
+
+        if (!MANDATORY_NOTIFICATION_CATEGORIES.includes(notification.category)) {
+            const quietUntil = await getUserQuietHoursEnd(userId);
+            if (quietUntil) {
+                await prisma.deferredNotification.create({
+                    data: {
+                        userId,
+                        category: notification.category,
+                        title: notification.title,
+                        body: notification.body,
+                        data: notification.data,
+                        deliverAfter: quietUntil,
+                    },
+                });
+                return;
+            }
+        }
+
+        await deliverPushNotification(userId, notification);
+    } catch (error) {
+        console.error(`Failed to send push notification to ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Push to all of a user's devices now, without preference or quiet-hours checks
+ */
+async function deliverPushNotification(userId, notification) {
     try {
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: { fcmToken: true },
+            select: {
+                fcmToken: true,
+                sessions: {
+                    where: { revokedAt: null, expiresAt: { gt: new Date() }, pushToken: { not: null } },
+                    select: { pushToken: true },
+                },
+            },
         });
 
-        if (!user?.fcmToken) {
+        let tokens = [...new Set((user?.sessions || []).map((s) => s.pushToken))];
+
+        // Fall back to the legacy single token for clients that registered before sessions
+        if (tokens.length === 0 && user?.fcmToken) {
+            tokens = [user.fcmToken];
+        }
+
+        if (tokens.length === 0) {
             console.log(`No FCM token for user ${userId}, skipping push notification`);
             return;
         }
 
-        const message = {
-            token: user.fcmToken,
+        const results = await Promise.allSettled(tokens.map((token) => sendToToken(userId, token, notification)));
+        const failed = results.filter((r) => r.status === 'rejected');
+        failed.forEach((r) => console.error(`Failed to send push notification to ${userId}:`, r.reason.message));
+
+        if (failed.length < tokens.length) {
+            console.log(`📱 Push notification sent to user ${userId}`);
+        }
+    } catch (error) {
+        console.error(`Failed to send push notification to ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Send a push message to a single device token
+ */
+async function sendToToken(userId, token, notification) {
+    const message = {
+        token,
+        notification: {
+            title: notification.title,
+            body: notification.body,
+        },
+        data: { ...notification.data, category: notification.category },
+        android: {
+            priority: 'high',
             notification: {
-                title: notification.title,
-                body: notification.body,
-            },
-            data: notification.data || {},
-            android: {
-                priority: 'high',
-                notification: {
-                    channelId: 'ironroom_messages',
-                },
+                channelId: 'ironroom_messages',
             },
-            apns: {
-                payload: {
-                    aps: {
-                        badge: 1,
-                        sound: 'default',
-                    },
+        },
+        apns: {
+            payload: {
+                aps: {
+                    badge: 1,
+                    sound: 'default',
                 },
             },
-        };
+        },
+    };
 
+    try {
         await firebaseAdmin.messaging().send(message);
-        console.log(`📱 Push notification sent to user ${userId}`);
     } catch (error) {
         if (error.code === 'messaging/registration-token-not-registered') {
             // Token is invalid, clear it
-            await prisma.user.update({
-                where: { id: userId },
-                data: { fcmToken: null },
-            });
+            await prisma.$transaction([
+                prisma.session.updateMany({
+                    where: { userId, pushToken: token },
+                    data: { pushToken: null },
+                }),
+                prisma.user.updateMany({
+                    where: { id: userId, fcmToken: token },
+                    data: { fcmToken: null },
+                }),
+            ]);
         }
-        console.error(`Failed to send push notification to ${userId}:`, error.message);
+        throw error;
     }
 }
 
@@ -61,4 +183,12 @@ async function sendBulkNotification(userIds, notification) {
     await Promise.allSettled(promises);
 }
 
-module.exports = { sendPushNotification, sendBulkNotification };
+module.exports = {
+    OPTIONAL_CATEGORIES,
+    getNotificationSettings,
+    updateNotificationSettings,
+    isCategoryEnabled,
+    sendPushNotification,
+    deliverPushNotification,
+    sendBulkNotification,
+};
@@ -0,0 +1,30 @@
+const prisma = require('../config/database');
+const { ONBOARDING_STEPS, MIN_INTENT_TAGS } = require('../utils/constants');
+
+/**
+ * Onboarding Service
+ * Derives where a user is in onboarding from account state.
+ * Steps are completed in order: verify → values → intents → subscription.
+ */
+
+/**
+ * Get onboarding state for a user
+ * (needs id, isVerified, agreedToValues, isActive)
+ */
+async function getOnboardingState(user) {
+    const intentCount = await prisma.userIntent.count({ where: { userId: user.id } });
+
+    const completed = {
+        verify: user.isVerified,
+        values: user.agreedToValues,
+        intents: intentCount >= MIN_INTENT_TAGS,
+        subscription: user.isActive,
+    };
+
+    const steps = ONBOARDING_STEPS.map((step) => ({ step, completed: !!completed[step] }));
+    const nextStep = steps.find((s) => !s.completed)?.step || null;
+
+    return { steps, nextStep, isComplete: nextStep === null };
+}
+
+module.exports = { getOnboardingState };
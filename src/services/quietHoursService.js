@@ -0,0 +1,171 @@
+const prisma = require('../config/database');
+const { QUIET_HOURS } = require('../utils/constants');
+
+/**
+ * Quiet Hours Service
+ * Timezone handling and quiet-hours windows. Windows are evaluated on the
+ * user's local wall clock; a DST jump inside a window can shift its end by
+ * up to an hour, which is fine for holding back notifications.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * True if the name is a timezone the runtime knows (IANA, e.g. "America/Chicago")
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Local calendar date ("2024-05-31") in a timezone
+ */
+function getLocalDate(timezone, date = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(date);
+}
+
+/**
+ * Local weekday (0 = Sunday) and minute of the day in a timezone
+ */
+function getLocalClock(timezone, date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || 'UTC',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = (type) => parts.find((p) => p.type === type).value;
+
+    return {
+        day: WEEKDAYS.indexOf(part('weekday')),
+        minute: parseInt(part('hour')) * 60 + parseInt(part('minute')),
+    };
+}
+
+/**
+ * Minute of the day for a "HH:MM" time, or null if it is not a valid time
+ */
+function parseTime(time) {
+    const match = typeof time === 'string' && TIME_RE.exec(time);
+    if (!match) return null;
+
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+const toTime = (minute) =>
+    `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+
+/**
+ * Validate windows from the API ([{ start: "22:00", end: "07:00", days: [1, 2, 3] }]).
+ * Returns { windows } ready to store, or { error }.
+ */
+function parseWindows(input) {
+    if (!Array.isArray(input)) {
+        return { error: 'windows must be a list' };
+    }
+    if (input.length > QUIET_HOURS.MAX_WINDOWS) {
+        return { error: `You can set up to ${QUIET_HOURS.MAX_WINDOWS} quiet hours windows` };
+    }
+
+    const windows = [];
+    for (const window of input) {
+        const startMinute = parseTime(window?.start);
+        const endMinute = parseTime(window?.end);
+        if (startMinute === null || endMinute === null) {
+            return { error: 'start and end must be times like "22:00"' };
+        }
+        if (startMinute === endMinute) {
+            return { error: 'A quiet hours window cannot start and end at the same time' };
+        }
+
+        const days = window.days ?? [];
+        if (!Array.isArray(days) || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return { error: 'days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)' };
+        }
+
+        windows.push({
+            startMinute,
+            endMinute,
+            daysOfWeek: [...new Set(days)].sort((a, b) => a - b),
+        });
+    }
+
+    return { windows };
+}
+
+/**
+ * API shape of a stored window
+ */
+function formatWindow(window) {
+    return {
+        start: toTime(window.startMinute),
+        end: toTime(window.endMinute),
+        days: window.daysOfWeek,
+    };
+}
+
+/**
+ * When the current quiet period ends, or null if none of the windows is active
+ */
+function getQuietHoursEnd(windows, timezone, now = new Date()) {
+    const { day, minute } = getLocalClock(timezone, now);
+    const onDay = (window, d) => window.daysOfWeek.length === 0 || window.daysOfWeek.includes(d);
+
+    let remaining = 0;
+    for (const window of windows) {
+        const { startMinute, endMinute } = window;
+
+        if (startMinute < endMinute) {
+            if (onDay(window, day) && minute >= startMinute && minute < endMinute) {
+                remaining = Math.max(remaining, endMinute - minute);
+            }
+        } else if (onDay(window, day) && minute >= startMinute) {
+            // Overnight window, before midnight
+            remaining = Math.max(remaining, MINUTES_PER_DAY - minute + endMinute);
+        } else if (onDay(window, (day + 6) % 7) && minute < endMinute) {
+            // Overnight window that started yesterday
+            remaining = Math.max(remaining, endMinute - minute);
+        }
+    }
+
+    if (remaining === 0) return null;
+
+    const startOfMinute = now.getTime() - (now.getTime() % 60000);
+    return new Date(startOfMinute + remaining * 60000);
+}
+
+/**
+ * Quiet period end for a user right now (null if they are not in quiet hours)
+ */
+async function getUserQuietHoursEnd(userId, now = new Date()) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { timezone: true, quietHours: true },
+    });
+    if (!user || user.quietHours.length === 0) return null;
+
+    return getQuietHoursEnd(user.quietHours, user.timezone, now);
+}
+
+module.exports = {
+    isValidTimezone,
+    getLocalDate,
+    getLocalClock,
+    parseTime,
+    toTime,
+    parseWindows,
+    formatWindow,
+    getQuietHoursEnd,
+    getUserQuietHoursEnd,
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { sendPushNotification } = require('./notificationService');
+const { REFERRAL, CODE_ALPHABET, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+
+/**
+ * Referral Service
+ * Each user gets an invite code. A signup with that code is recorded as a
+ * Referral, and the inviter is granted a bonus subscription period once the
+ * invitee makes their first paid purchase.
+ */
+
+function getBonusDays() {
+    const days = parseInt(process.env.REFERRAL_BONUS_DAYS);
+    return Number.isInteger(days) && days > 0 ? days : REFERRAL.DEFAULT_BONUS_DAYS;
+}
+
+function generateInviteCode() {
+    const bytes = crypto.randomBytes(REFERRAL.CODE_LENGTH);
+    let code = '';
+    for (const byte of bytes) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+function normalizeInviteCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+/**
+ * Get a user's invite code, creating one the first time it is requested
+ */
+async function getOrCreateInviteCode(userId) {
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { inviteCode: true },
+    });
+    if (user.inviteCode) return user.inviteCode;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const updated = await prisma.user.update({
+                where: { id: userId },
+                data: { inviteCode: generateInviteCode() },
+                select: { inviteCode: true },
+            });
+            return updated.inviteCode;
+        } catch (error) {
+            if (error.code !== 'P2002') throw error; // Code collision, try another
+        }
+    }
+
+    throw new Error('Could not generate a unique invite code');
+}
+
+/**
+ * Look up the inviter for an invite code (null if unknown)
+ */
+async function findInviter(code) {
+    if (!code) return null;
+
+    return prisma.user.findUnique({
+        where: { inviteCode: normalizeInviteCode(code) },
+        select: { id: true, inviteCode: true },
+    });
+}
+
+/**
+ * Attribute a new signup to an inviter
+ */
+async function recordReferral(inviter, inviteeId) {
+    if (!inviter || inviter.id === inviteeId) return null;
+
+    return prisma.referral.create({
+        data: {
+            inviterId: inviter.id,
+            inviteeId,
+            inviteCode: inviter.inviteCode,
+        },
+    });
+}
+
+/**
+ * Reward the inviter when an invitee's first paid subscription goes through.
+ * No-op if the user was not referred or the referral was already rewarded.
+ */
+async function rewardReferral(inviteeId) {
+    const referral = await prisma.referral.findUnique({ where: { inviteeId } });
+    if (!referral || referral.convertedAt) return null;
+
+    const bonusDays = getBonusDays();
+
+    const subscription = await prisma.$transaction(async (tx) => {
+        // Claim atomically so a duplicate purchase callback cannot reward twice;
+        // the claim rolls back with the bonus if anything below fails
+        const claimed = await tx.referral.updateMany({
+            where: { id: referral.id, convertedAt: null },
+            data: { convertedAt: new Date() },
+        });
+        if (claimed.count === 0) return null;
+
+        // Stack the bonus after any access the inviter already has
+        const latest = await tx.subscription.findFirst({
+            where: { userId: referral.inviterId, isActive: true },
+            orderBy: { expiryDate: 'desc' },
+        });
+
+        const now = new Date();
+        const startDate = latest && latest.expiryDate > now ? latest.expiryDate : now;
+        const expiryDate = new Date(startDate.getTime() + bonusDays * 24 * 60 * 60 * 1000);
+
+        const created = await tx.subscription.create({
+            data: {
+                userId: referral.inviterId,
+                planType: 'bonus',
+                platform: 'promotional',
+                startDate,
+                expiryDate,
+                transactionId: `referral:${referral.id}`,
+                isActive: true,
+            },
+        });
+
+        await tx.referral.update({
+            where: { id: referral.id },
+            data: { bonusSubscriptionId: created.id },
+        });
+
+        await tx.user.update({
+            where: { id: referral.inviterId },
+            data: { isActive: true },
+        });
+
+        return created;
+    });
+    if (!subscription) return null;
+
+    await sendPushNotification(referral.inviterId, {
+        category: NOTIFICATION_CATEGORIES.ACCOUNT,
+        title: 'Referral bonus unlocked',
+        body: `Someone you invited just joined IronRoom. ${bonusDays} days have been added to your membership.`,
+        data: { type: 'referral_reward' },
+    });
+
+    return subscription;
+}
+
+/**
+ * Referral stats for a user's invite screen
+ */
+async function getReferralStats(userId) {
+    const [signups, converted] = await Promise.all([
+        prisma.referral.count({ where: { inviterId: userId } }),
+        prisma.referral.count({ where: { inviterId: userId, convertedAt: { not: null } } }),
+    ]);
+
+    return { signups, converted, bonusDaysEarned: converted * getBonusDays() };
+}
+
+module.exports = {
+    getBonusDays,
+    getOrCreateInviteCode,
+    findInviter,
+    recordReferral,
+    rewardReferral,
+    getReferralStats,
+};
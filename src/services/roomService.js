@@ -0,0 +1,76 @@
+const prisma = require('../config/database');
+
+/**
+ * Room Service
+ * Feed rules shared by the REST routes and the socket server: people with a
+ * block either way never see each other's room messages.
+ */
+
+/**
+ * IDs of everyone the user has blocked or been blocked by
+ */
+async function getBlockedUserIds(userId) {
+    const blocks = await prisma.blockedUser.findMany({
+        where: {
+            OR: [
+                { blockerId: userId },
+                { blockedId: userId },
+            ],
+        },
+        select: {
+            blockerId: true,
+            blockedId: true,
+        },
+    });
+
+    const blockedIds = [];
+    blocks.forEach(block => {
+        if (block.blockerId !== userId) blockedIds.push(block.blockerId);
+        if (block.blockedId !== userId) blockedIds.push(block.blockedId);
+    });
+
+    return blockedIds;
+}
+
+/**
+ * Messages in a room since the user last read it, not counting their own
+ * or those from blocked users
+ */
+async function countUnreadMessages(roomId, userId, lastReadAt, blockedIds) {
+    return prisma.roomMessage.count({
+        where: {
+            roomId,
+            createdAt: { gt: lastReadAt },
+            senderId: { notIn: [userId, ...blockedIds] },
+        },
+    });
+}
+
+/**
+ * Unread counts for several members of a room in one query, with the same
+ * rules as countUnreadMessages. Returns Map<userId, count>.
+ */
+async function countUnreadMessagesForMembers(roomId, userIds) {
+    if (userIds.length === 0) return new Map();
+
+    const rows = await prisma.$queryRaw`
+        SELECT rm.user_id::text AS "userId", COUNT(msg.id)::int AS "unreadCount"
+        FROM room_members rm
+        LEFT JOIN room_messages msg
+            ON msg.room_id = rm.room_id
+            AND msg.created_at > rm.last_read_at
+            AND msg.sender_id <> rm.user_id
+            AND NOT EXISTS (
+                SELECT 1 FROM blocked_users b
+                WHERE (b.blocker_id = rm.user_id AND b.blocked_id = msg.sender_id)
+                   OR (b.blocked_id = rm.user_id AND b.blocker_id = msg.sender_id)
+            )
+        WHERE rm.room_id = ${roomId}::uuid
+          AND rm.user_id = ANY(${userIds}::uuid[])
+        GROUP BY rm.user_id
+    `;
+
+    return new Map(rows.map((row) => [row.userId, row.unreadCount]));
+}
+
+module.exports = { getBlockedUserIds, countUnreadMessages, countUnreadMessagesForMembers };
@@ -0,0 +1,97 @@
+const prisma = require('../config/database');
+const { generateTokens, isRevokedToken } = require('./tokenService');
+const { SESSION_PLATFORMS, SESSION_TOUCH_INTERVAL_MS } = require('../utils/constants');
+
+/**
+ * Session Service
+ * Tracks signed-in devices so users can see and revoke them
+ */
+
+/**
+ * Extract device details from a login request
+ */
+function getDeviceInfo(req) {
+    const { deviceId, deviceName, platform, fcmToken } = req.body || {};
+
+    return {
+        deviceId: deviceId || null,
+        deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+        platform: SESSION_PLATFORMS.includes(platform) ? platform : null,
+        pushToken: fcmToken || null,
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent')?.slice(0, 255) || null,
+    };
+}
+
+/**
+ * Create a session for a successful login and issue its tokens.
+ * Device details default to those sent with the request.
+ */
+async function startSession(userId, req, deviceInfo = getDeviceInfo(req)) {
+    const session = await prisma.session.create({
+        data: {
+            userId,
+            ...deviceInfo,
+            expiresAt: new Date(), // Set by generateTokens
+        },
+    });
+
+    const tokens = await generateTokens(userId, session.id);
+
+    return { sessionId: session.id, ...tokens };
+}
+
+/**
+ * List a user's signed-in devices
+ */
+async function listSessions(userId) {
+    return prisma.session.findMany({
+        where: {
+            userId,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+        },
+        orderBy: { lastSeenAt: 'desc' },
+        select: {
+            id: true,
+            deviceName: true,
+            platform: true,
+            ipAddress: true,
+            lastSeenAt: true,
+            createdAt: true,
+        },
+    });
+}
+
+/**
+ * Update last seen time/IP, throttled to avoid a write per request
+ */
+async function touchSession(session, req) {
+    if (Date.now() - session.lastSeenAt.getTime() < SESSION_TOUCH_INTERVAL_MS) return;
+
+    await prisma.session.update({
+        where: { id: session.id },
+        data: { lastSeenAt: new Date(), ipAddress: req.ip || session.ipAddress },
+    });
+}
+
+/**
+ * Check an access token against sign-outs (logout-all and per-device).
+ * Returns { session } while it is still good (null for tokens without a device), or { error }.
+ */
+async function checkTokenSession(decoded, user) {
+    if (isRevokedToken(decoded, user.sessionsRevokedAt)) {
+        return { error: 'Session expired. Please login again.' };
+    }
+
+    if (!decoded.sid) return { session: null };
+
+    const session = await prisma.session.findUnique({ where: { id: decoded.sid } });
+    if (!session || session.revokedAt || session.userId !== user.id) {
+        return { error: 'This device has been signed out' };
+    }
+
+    return { session };
+}
+
+module.exports = { getDeviceInfo, startSession, listSessions, touchSession, checkTokenSession };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const { TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+
+/**
+ * Token Service
+ * Issues user access/refresh JWTs and checks them against revocation.
+ * Every token belongs to a Session (one signed-in device). Refresh tokens
+ * are persisted and rotated: each one can be used once, and presenting an
+ * already-used token revokes the whole session.
+ */
+
+/**
+ * Issue an access token and a new refresh token for a session
+ */
+async function generateTokens(userId, sessionId) {
+    const tokenId = crypto.randomUUID();
+
+    const accessToken = jwtKeys.access.sign(
+        { userId, sid: sessionId },
+        { audience: TOKEN_AUDIENCES.APP, typ: TOKEN_TYPES.ACCESS, expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
+    );
+
+    const refreshToken = jwtKeys.refresh.sign(
+        { userId, sid: sessionId },
+        {
+            audience: TOKEN_AUDIENCES.APP,
+            typ: TOKEN_TYPES.REFRESH,
+            expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
+            jwtid: tokenId,
+        }
+    );
+
+    const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    await prisma.$transaction([
+        prisma.refreshToken.create({
+            data: { id: tokenId, userId, sessionId, expiresAt },
+        }),
+        prisma.session.update({
+            where: { id: sessionId },
+            data: { expiresAt, lastSeenAt: new Date() },
+        }),
+    ]);
+
+    return { accessToken, refreshToken };
+}
+
+/**
+ * Exchange a verified refresh token payload for a new token pair.
+ * Returns null if the token is unknown, expired or revoked.
+ */
+async function rotateRefreshToken(decoded) {
+    // Tokens issued before rotation existed carry no jti and are rejected
+    if (!decoded.jti) return null;
+
+    const record = await prisma.refreshToken.findUnique({
+        where: { id: decoded.jti },
+        include: { session: { select: { revokedAt: true } } },
+    });
+    if (!record || record.userId !== decoded.userId || record.session.revokedAt) return null;
+
+    if (record.usedAt || record.revokedAt) {
+        // Reuse of a rotated token means it leaked — kill the whole session
+        if (record.usedAt && !record.revokedAt) {
+            console.warn(`⚠️ Refresh token reuse detected for user ${record.userId}, revoking session`);
+        }
+        await revokeSession(record.sessionId);
+        return null;
+    }
+
+    if (record.expiresAt < new Date()) return null;
+
+    // Claim atomically so two concurrent refreshes cannot both succeed
+    const claimed = await prisma.refreshToken.updateMany({
+        where: { id: record.id, usedAt: null, revokedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    if (claimed.count === 0) {
+        await revokeSession(record.sessionId);
+        return null;
+    }
+
+    return generateTokens(record.userId, record.sessionId);
+}
+
+/**
+ * Revoke a session (one device) and its refresh tokens
+ */
+async function revokeSession(sessionId) {
+    const now = new Date();
+
+    await prisma.$transaction([
+        prisma.session.updateMany({
+            where: { id: sessionId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+        prisma.refreshToken.updateMany({
+            where: { sessionId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+    ]);
+}
+
+/**
+ * Revoke all of a user's sessions and invalidate issued access tokens
+ */
+async function revokeAllUserTokens(userId) {
+    const now = new Date();
+
+    await prisma.$transaction([
+        prisma.session.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+        prisma.refreshToken.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: now },
+        }),
+        prisma.user.update({
+            where: { id: userId },
+            data: { sessionsRevokedAt: now },
+        }),
+    ]);
+}
+
+/**
+ * True if the token was issued before the user's sessions were revoked
+ * (password change/reset, logout-all, ban). JWT iat has second precision.
+ */
+function isRevokedToken(decoded, sessionsRevokedAt) {
+    if (!sessionsRevokedAt) return false;
+    return decoded.iat < Math.floor(sessionsRevokedAt.getTime() / 1000);
+}
+
+module.exports = {
+    generateTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllUserTokens,
+    isRevokedToken,
+};
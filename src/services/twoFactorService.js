@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const { TWO_FACTOR, CODE_ALPHABET, TOKEN_AUDIENCES, TOKEN_TYPES } = require('../utils/constants');
+
+/**
+ * Two-Factor Service
+ * TOTP mechanics shared by moderators and app users, plus one-time
+ * recovery codes and the login step-up challenge for users.
+ */
+
+/**
+ * Generate a TOTP secret and a QR code for authenticator apps
+ */
+async function generateTotpSecret(name, issuer) {
+    const secret = speakeasy.generateSecret({ name, issuer });
+    const qrCode = await QRCode.toDataURL(secret.otpauth_url);
+
+    return { secret: secret.base32, qrCode };
+}
+
+/**
+ * Check a 6-digit TOTP code (allows one step of clock drift)
+ */
+function verifyTotp(secret, code) {
+    if (!secret || !code) return false;
+
+    return speakeasy.totp.verify({
+        secret,
+        encoding: 'base32',
+        token: String(code).replace(/\s/g, ''),
+        window: 1,
+    });
+}
+
+/**
+ * Accept a user's TOTP code at most once: the matched time step is stored and
+ * codes from that step or earlier are refused, so a code cannot be replayed
+ */
+async function consumeTotp(user, code) {
+    if (!user.totpSecret || !code) return false;
+
+    const match = speakeasy.totp.verifyDelta({
+        secret: user.totpSecret,
+        encoding: 'base32',
+        token: String(code).replace(/\s/g, ''),
+        window: 1,
+    });
+    if (!match) return false;
+
+    const step = Math.floor(Date.now() / 1000 / TWO_FACTOR.TOTP_STEP_SECONDS) + match.delta;
+
+    const claimed = await prisma.user.updateMany({
+        where: {
+            id: user.id,
+            OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }],
+        },
+        data: { totpLastUsedStep: step },
+    });
+
+    return claimed.count === 1;
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCode() {
+    let code = '';
+    for (const byte of crypto.randomBytes(TWO_FACTOR.RECOVERY_CODE_LENGTH)) {
+        code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+    }
+    // Display as XXXXX-XXXXX
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Replace a user's recovery codes. Returns the plaintext codes (shown once).
+ */
+async function regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await prisma.$transaction([
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.recoveryCode.createMany({
+            data: codes.map((code) => ({ userId, codeHash: hashRecoveryCode(code) })),
+        }),
+    ]);
+
+    return codes;
+}
+
+/**
+ * Spend a recovery code. Returns false if unknown or already used.
+ */
+async function consumeRecoveryCode(userId, code) {
+    if (!code) return false;
+
+    const claimed = await prisma.recoveryCode.updateMany({
+        where: { userId, codeHash: hashRecoveryCode(code), usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return claimed.count === 1;
+}
+
+async function countRecoveryCodes(userId) {
+    return prisma.recoveryCode.count({ where: { userId, usedAt: null } });
+}
+
+/**
+ * Verify a second factor: a TOTP code or, failing that, a recovery code.
+ * Returns { valid, usedRecoveryCode }.
+ */
+async function verifySecondFactor(user, { totpCode, recoveryCode }) {
+    if (totpCode && await consumeTotp(user, totpCode)) {
+        return { valid: true, usedRecoveryCode: false };
+    }
+
+    if (recoveryCode && await consumeRecoveryCode(user.id, recoveryCode)) {
+        return { valid: true, usedRecoveryCode: true };
+    }
+
+    return { valid: false, usedRecoveryCode: false };
+}
+
+/**
+ * Short-lived token proving the first factor passed, exchanged at
+ * POST /api/auth/verify-2fa for a real session
+ */
+function issueLoginChallenge(userId) {
+    const tempToken = jwtKeys.access.sign(
+        { userId },
+        { audience: TOKEN_AUDIENCES.APP, typ: TOKEN_TYPES.TWO_FACTOR_CHALLENGE, expiresIn: TWO_FACTOR.CHALLENGE_TTL }
+    );
+
+    return { requires2fa: true, tempToken };
+}
+
+module.exports = {
+    generateTotpSecret,
+    verifyTotp,
+    consumeTotp,
+    regenerateRecoveryCodes,
+    consumeRecoveryCode,
+    countRecoveryCodes,
+    verifySecondFactor,
+    issueLoginChallenge,
+};
@@ -0,0 +1,90 @@
+const prisma = require('../config/database');
+
+/**
+ * Values Service
+ * Community values/guidelines are versioned. Users agree to a specific
+ * version, and must agree again whenever a newer version is published.
+ */
+
+const versionSelect = {
+    id: true,
+    version: true,
+    title: true,
+    content: true,
+    publishedAt: true,
+};
+
+/**
+ * Get the latest published values version (null if none published yet)
+ */
+async function getCurrentValues() {
+    return prisma.valuesVersion.findFirst({
+        where: { publishedAt: { not: null } },
+        orderBy: { version: 'desc' },
+        select: versionSelect,
+    });
+}
+
+/**
+ * Get a user's consent to the current values version.
+ * Returns { current, consent, hasAgreed }.
+ */
+async function getConsentState(user) {
+    const current = await getCurrentValues();
+
+    // Before any version is published, the onboarding flag is all we have
+    if (!current) {
+        return { current: null, consent: null, hasAgreed: !!user.agreedToValues };
+    }
+
+    const consent = await prisma.valuesConsent.findUnique({
+        where: { userId_versionId: { userId: user.id, versionId: current.id } },
+        select: { agreedAt: true },
+    });
+
+    return { current, consent, hasAgreed: !!consent };
+}
+
+/**
+ * Record that a user agreed to a values version
+ */
+async function recordConsent(userId, versionId, ipAddress) {
+    const now = new Date();
+
+    await prisma.$transaction([
+        ...(versionId
+            ? [prisma.valuesConsent.createMany({
+                data: [{ userId, versionId, ipAddress, agreedAt: now }],
+                skipDuplicates: true,
+            })]
+            : []),
+        prisma.user.update({
+            where: { id: userId },
+            data: { agreedToValues: true, agreedToValuesAt: now },
+        }),
+    ]);
+}
+
+/**
+ * Publish a draft as the next version number
+ */
+async function publishValuesVersion(id) {
+    return prisma.$transaction(async (tx) => {
+        const latest = await tx.valuesVersion.aggregate({ _max: { version: true } });
+
+        return tx.valuesVersion.update({
+            where: { id },
+            data: {
+                version: (latest._max.version || 0) + 1,
+                publishedAt: new Date(),
+            },
+        });
+    });
+}
+
+module.exports = {
+    getCurrentValues,
+    getConsentState,
+    recordConsent,
+    publishValuesVersion,
+};
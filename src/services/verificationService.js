@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('../config/database');
+const { EMAIL_VERIFICATION } = require('../utils/constants');
+
+/**
+ * Verification Service
+ * Issues and consumes single-use, expiring email tokens.
+ * Each issue produces a long link token and a short code; only hashes are stored.
+ */
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateCode() {
+    const max = 10 ** EMAIL_VERIFICATION.CODE_LENGTH;
+    return crypto.randomInt(0, max).toString().padStart(EMAIL_VERIFICATION.CODE_LENGTH, '0');
+}
+
+/**
+ * Issue a new token + code for a user.
+ * Earlier unused tokens for the same purpose are invalidated.
+ */
+async function issueVerification(userId, email, purpose, ttlMs = EMAIL_VERIFICATION.TOKEN_TTL_MS) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const code = generateCode();
+    const codeHash = await bcrypt.hash(code, 10);
+    const now = new Date();
+
+    await prisma.$transaction([
+        prisma.verificationToken.updateMany({
+            where: { userId, purpose, usedAt: null },
+            data: { usedAt: now },
+        }),
+        prisma.verificationToken.create({
+            data: {
+                userId,
+                purpose,
+                email,
+                tokenHash: hashToken(token),
+                codeHash,
+                expiresAt: new Date(now.getTime() + ttlMs),
+            },
+        }),
+    ]);
+
+    return { token, code };
+}
+
+/**
+ * Consume a token (link), or a code identified by email or (for signed-in flows) userId.
+ * Returns the token record on success, null if invalid, expired or already used.
+ */
+async function consumeVerification(purpose, { token, email, userId, code }) {
+    let record = null;
+
+    if (token) {
+        record = await prisma.verificationToken.findUnique({
+            where: { tokenHash: hashToken(String(token)) },
+        });
+        if (!record || record.purpose !== purpose) return null;
+    } else if ((email || userId) && code) {
+        record = await prisma.verificationToken.findFirst({
+            where: { ...(userId ? { userId } : { email }), purpose, usedAt: null },
+            orderBy: { createdAt: 'desc' },
+        });
+        if (!record || record.attempts >= EMAIL_VERIFICATION.MAX_CODE_ATTEMPTS) return null;
+
+        const codeValid = await bcrypt.compare(String(code), record.codeHash);
+        if (!codeValid) {
+            await prisma.verificationToken.update({
+                where: { id: record.id },
+                data: { attempts: { increment: 1 } },
+            });
+            return null;
+        }
+    } else {
+        return null;
+    }
+
+    if (record.usedAt || record.expiresAt < new Date()) return null;
+
+    // Claim atomically so concurrent requests cannot use the same token twice
+    const claimed = await prisma.verificationToken.updateMany({
+        where: { id: record.id, usedAt: null },
+        data: { usedAt: new Date() },
+    });
+
+    return claimed.count === 1 ? record : null;
+}
+
+/**
+ * Get the most recently issued token for a user and purpose
+ */
+async function getLatestVerification(userId, purpose) {
+    return prisma.verificationToken.findFirst({
+        where: { userId, purpose },
+        orderBy: { createdAt: 'desc' },
+    });
+}
+
+module.exports = { issueVerification, consumeVerification, getLatestVerification };
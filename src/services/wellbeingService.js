@@ -0,0 +1,78 @@
+const prisma = require('../config/database');
+const { getLocalDate } = require('./quietHoursService');
+const { MOOD } = require('../utils/constants');
+
+/**
+ * Wellbeing Service
+ * Mood check-in trends. Days are the user's local calendar days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const average = (values) => (values.length > 0
+    ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+    : null);
+
+/**
+ * Trend summary for the last week or month, compared with the period before.
+ * Returns averages, a per-day series, and how moods look for each tag.
+ */
+async function getMoodTrends(userId, period, timezone, now = new Date()) {
+    const days = MOOD.TREND_PERIOD_DAYS[period];
+    const periodStart = new Date(now.getTime() - days * DAY_MS);
+    const previousStart = new Date(periodStart.getTime() - days * DAY_MS);
+
+    const checkIns = await prisma.moodCheckIn.findMany({
+        where: { userId, createdAt: { gt: previousStart, lte: now } },
+        orderBy: { createdAt: 'asc' },
+        select: {
+            mood: true,
+            createdAt: true,
+            tags: { select: { intentTag: { select: { id: true, tagName: true } } } },
+        },
+    });
+
+    const current = checkIns.filter((c) => c.createdAt > periodStart);
+    const previous = checkIns.filter((c) => c.createdAt <= periodStart);
+
+    // One entry per local day in the period, including days without check-ins
+    const byDay = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        byDay.set(getLocalDate(timezone, new Date(now.getTime() - i * DAY_MS)), []);
+    }
+    current.forEach((c) => byDay.get(getLocalDate(timezone, c.createdAt))?.push(c.mood));
+
+    const byTag = new Map();
+    current.forEach((c) => c.tags.forEach(({ intentTag }) => {
+        if (!byTag.has(intentTag.id)) byTag.set(intentTag.id, { ...intentTag, moods: [] });
+        byTag.get(intentTag.id).moods.push(c.mood);
+    }));
+
+    const currentAverage = average(current.map((c) => c.mood));
+    const previousAverage = average(previous.map((c) => c.mood));
+
+    return {
+        period,
+        from: periodStart,
+        to: now,
+        checkIns: current.length,
+        daysCheckedIn: [...byDay.values()].filter((moods) => moods.length > 0).length,
+        averageMood: currentAverage,
+        previousAverageMood: previousAverage,
+        change: currentAverage !== null && previousAverage !== null
+            ? Math.round((currentAverage - previousAverage) * 10) / 10
+            : null,
+        lowestMood: current.length > 0 ? Math.min(...current.map((c) => c.mood)) : null,
+        highestMood: current.length > 0 ? Math.max(...current.map((c) => c.mood)) : null,
+        daily: [...byDay.entries()].map(([date, moods]) => ({
+            date,
+            averageMood: average(moods),
+            checkIns: moods.length,
+        })),
+        tags: [...byTag.values()]
+            .map(({ moods, ...tag }) => ({ ...tag, checkIns: moods.length, averageMood: average(moods) }))
+            .sort((a, b) => b.checkIns - a.checkIns),
+    };
+}
+
+module.exports = { getMoodTrends };
@@ -4,6 +4,28 @@
 
 const IDENTITY_MODES = ['real_name', 'first_name', 'nickname'];
 
+const DISPLAY_NAME = {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 40,
+};
+
+const HANDLE = {
+    MIN_LENGTH: 3,
+    MAX_LENGTH: 20,
+    MAX_MENTIONS_PER_MESSAGE: 10,
+    // Could be mistaken for staff, the app, or a group mention
+    RESERVED: [
+        'admin', 'administrator', 'moderator', 'mod', 'mods', 'staff', 'support', 'help', 'team',
+        'ironroom', 'official', 'system', 'root', 'everyone', 'here', 'channel', 'room', 'all',
+        'anonymous', 'former_member', 'deleted', 'null', 'undefined', 'me', 'you',
+    ],
+    // Matched as substrings after undoing common letter swaps (0→o, 1→i, 3→e, ...)
+    BLOCKED_TERMS: [
+        'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'bastard', 'wank', 'twat', 'pussy',
+        'nigger', 'nigga', 'faggot', 'retard', 'nazi', 'hitler', 'rapist', 'paedo', 'killyourself',
+    ],
+};
+
 const PLAN_TYPES = ['monthly', 'yearly'];
 
 const PLATFORMS = ['apple', 'google'];
@@ -14,6 +36,8 @@ const MATCH_STATUS = ['active', 'ended', 'blocked'];
 
 const REPORT_STATUS = ['pending', 'reviewed', 'resolved'];
 
+const AVATAR_SUBMISSION_STATUS = ['pending', 'approved', 'rejected', 'superseded'];
+
 const MODERATOR_ROLES = ['moderator', 'admin'];
 
 const SUSPENSION_DURATIONS = {
@@ -52,13 +76,119 @@ const WARNINGS_REVIEW_WINDOW_DAYS = 30;
 
 const SUBSCRIPTION_GRACE_DAYS = 3;
 
+const EMAIL_VERIFICATION = {
+    TOKEN_TTL_MS: 24 * 60 * 60 * 1000, // 24 hours
+    CODE_LENGTH: 6,
+    MAX_CODE_ATTEMPTS: 5,
+    RESEND_COOLDOWN_MS: 60 * 1000, // 1 minute
+};
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const LOGIN_THROTTLE = {
+    MAX_FAILED_ATTEMPTS: 5,
+    FAILURE_WINDOW_MS: 15 * 60 * 1000,      // Failures counted over 15 minutes
+    BASE_LOCKOUT_MS: 5 * 60 * 1000,         // First lockout: 5 minutes, doubling each time
+    MAX_LOCKOUT_MS: 24 * 60 * 60 * 1000,    // Never lock for more than 24 hours
+    LOCKOUT_HISTORY_MS: 24 * 60 * 60 * 1000, // Backoff resets after a quiet day
+};
+
+const ONBOARDING_STEPS = ['verify', 'values', 'intents', 'subscription'];
+const MIN_INTENT_TAGS = 2;
+
+// JWT audiences and `typ` claims; every token is verified for both
+const TOKEN_AUDIENCES = {
+    APP: 'ironroom-app',
+    ADMIN: 'ironroom-admin',
+};
+
+const TOKEN_TYPES = {
+    ACCESS: 'access',
+    REFRESH: 'refresh',
+    TWO_FACTOR_CHALLENGE: '2fa_challenge',
+    EXPORT_DOWNLOAD: 'export_download',
+    FILE_DOWNLOAD: 'file_download',
+};
+
+// Human-typed codes (invite, recovery) avoid 0/O and 1/I lookalikes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const REFERRAL = {
+    CODE_LENGTH: 8,
+    DEFAULT_BONUS_DAYS: 30, // Override with REFERRAL_BONUS_DAYS
+};
+
+const TWO_FACTOR = {
+    CHALLENGE_TTL: '5m', // Login step-up token lifetime
+    TOTP_STEP_SECONDS: 30,
+    RECOVERY_CODE_COUNT: 10,
+    RECOVERY_CODE_LENGTH: 10,
+};
+
+const DATA_EXPORT = {
+    FILE_TTL_MS: 7 * 24 * 60 * 60 * 1000, // Archive kept for 7 days
+    LINK_TTL: '24h', // Signed download link lifetime
+    REQUEST_COOLDOWN_MS: 24 * 60 * 60 * 1000, // One export per day
+    STALE_PROCESSING_MS: 30 * 60 * 1000, // Requeue jobs abandoned by a crashed worker
+    STORAGE_URL_TTL_SECONDS: 5 * 60, // Storage URL the download link redirects to
+};
+
+const ACCOUNT_DELETION_GRACE_MS = 14 * 24 * 60 * 60 * 1000; // Undo window before purge
+
+// Placeholder account that keeps deleted users' shared content (messages, matches, reports)
+const FORMER_MEMBER = {
+    USER_ID: '00000000-0000-4000-8000-000000000000',
+    DISPLAY_NAME: 'Former member',
+};
+
+const AVATAR = {
+    MAX_UPLOAD_BYTES: 5 * 1024 * 1024,
+    MAX_INPUT_PIXELS: 40 * 1000 * 1000, // Reject decompression bombs
+    FORMATS: ['jpeg', 'png', 'webp', 'gif', 'heif'], // Detected from the bytes, not the mimetype (heif = AVIF)
+    SIZES: { full: 512, thumbnail: 128 },
+    WEBP_QUALITY: 82,
+    URL_TTL_SECONDS: 60 * 60, // Signed avatar URLs; clients refetch the profile for fresh ones
+};
+
+const NOTIFICATION_CATEGORIES = {
+    MATCHES: 'matches',
+    MENTIONS: 'mentions',
+    DIRECT_MESSAGES: 'direct_messages',
+    ROOM_ACTIVITY: 'room_activity',
+    ANNOUNCEMENTS: 'announcements',
+    REMINDERS: 'reminders', // Opt-in wellbeing check-in reminder
+    ACCOUNT: 'account', // Security and account changes
+    SAFETY: 'safety', // Moderation: warnings, suspensions, bans, rejected content
+};
+// Always delivered; not shown as switchable settings
+const MANDATORY_NOTIFICATION_CATEGORIES = [NOTIFICATION_CATEGORIES.ACCOUNT, NOTIFICATION_CATEGORIES.SAFETY];
+
+const QUIET_HOURS = {
+    MAX_WINDOWS: 5,
+};
+
+const MOOD = {
+    MIN: 1,
+    MAX: 5,
+    MAX_TAGS: 5,
+    NOTE_MAX_LENGTH: 1000,
+    TREND_PERIOD_DAYS: { week: 7, month: 30 },
+    REMINDER_WINDOW_MINUTES: 60, // Send up to an hour late if the worker missed the minute
+};
+
+const SESSION_PLATFORMS = ['ios', 'android', 'web'];
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000; // Refresh lastSeenAt at most every 5 minutes
+
 module.exports = {
     IDENTITY_MODES,
+    DISPLAY_NAME,
+    HANDLE,
     PLAN_TYPES,
     PLATFORMS,
     REPORT_REASONS,
     MATCH_STATUS,
     REPORT_STATUS,
+    AVATAR_SUBMISSION_STATUS,
     MODERATOR_ROLES,
     SUSPENSION_DURATIONS,
     MATCH_SCORING,
@@ -68,4 +198,24 @@ module.exports = {
     WARNINGS_AUTO_REVIEW_THRESHOLD,
     WARNINGS_REVIEW_WINDOW_DAYS,
     SUBSCRIPTION_GRACE_DAYS,
+    EMAIL_VERIFICATION,
+    PASSWORD_RESET_TTL_MS,
+    SESSION_PLATFORMS,
+    SESSION_TOUCH_INTERVAL_MS,
+    LOGIN_THROTTLE,
+    ONBOARDING_STEPS,
+    MIN_INTENT_TAGS,
+    TOKEN_AUDIENCES,
+    TOKEN_TYPES,
+    CODE_ALPHABET,
+    REFERRAL,
+    TWO_FACTOR,
+    DATA_EXPORT,
+    ACCOUNT_DELETION_GRACE_MS,
+    FORMER_MEMBER,
+    AVATAR,
+    NOTIFICATION_CATEGORIES,
+    MANDATORY_NOTIFICATION_CATEGORIES,
+    QUIET_HOURS,
+    MOOD,
 };
@@ -0,0 +1,39 @@
+/**
+ * Public presentation of users
+ * The one place that decides how a user appears to other people.
+ * Select PUBLIC_USER_SELECT and pass the result through presentUser before
+ * sending it to anyone other than the user themself.
+ */
+
+const PUBLIC_USER_SELECT = { id: true, displayName: true, handle: true, identityMode: true };
+
+/**
+ * Name shown to others, according to the user's identity mode:
+ * real_name → full name, first_name → first name only, nickname → as chosen
+ */
+const getPublicName = (user) => {
+    const name = String(user.displayName || '').trim();
+
+    if (user.identityMode === 'real_name' || user.identityMode === 'nickname') {
+        return name;
+    }
+
+    // first_name, and the safe default if the mode was not selected
+    return name.split(/\s+/)[0];
+};
+
+/**
+ * Replace a user's stored name with their public name and drop identityMode
+ */
+const presentUser = (user) => {
+    if (!user) return user;
+
+    const { identityMode, ...rest } = user;
+    return { ...rest, displayName: getPublicName(user) };
+};
+
+module.exports = {
+    PUBLIC_USER_SELECT,
+    getPublicName,
+    presentUser,
+};
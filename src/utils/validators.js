@@ -2,6 +2,8 @@
  * Validation helpers
  */
 
+const { IDENTITY_MODES, DISPLAY_NAME } = require('./constants');
+
 const validateEmail = (email) => {
     const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return re.test(email);
@@ -19,11 +21,49 @@ const validatePhoneNumber = (phone) => {
     return re.test(phone);
 };
 
+// Letters (any script), with hyphens/apostrophes/periods inside a name part
+const NAME_PART = "\\p{L}[\\p{L}\\p{M}'’.-]*";
+const FIRST_NAME_RE = new RegExp(`^${NAME_PART}(?: ${NAME_PART})*$`, 'u');
+const REAL_NAME_RE = new RegExp(`^${NAME_PART}(?: ${NAME_PART})+$`, 'u');
+const NICKNAME_RE = /^(?=.*\p{L})[\p{L}\p{M}\p{N}_. -]+$/u;
+
+const normalizeDisplayName = (displayName) => String(displayName || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Check a display name against the identity mode it will be shown under.
+ * Expects a normalized name; returns an error message, or null if valid.
+ */
+const validateDisplayName = (displayName, identityMode) => {
+    if (!IDENTITY_MODES.includes(identityMode)) {
+        return 'Invalid identity mode';
+    }
+
+    if (displayName.length < DISPLAY_NAME.MIN_LENGTH || displayName.length > DISPLAY_NAME.MAX_LENGTH) {
+        return `Display name must be ${DISPLAY_NAME.MIN_LENGTH}-${DISPLAY_NAME.MAX_LENGTH} characters`;
+    }
+
+    if (identityMode === 'real_name' && !REAL_NAME_RE.test(displayName)) {
+        return 'Real name mode needs your first and last name, using letters only';
+    }
+
+    if (identityMode === 'first_name' && !FIRST_NAME_RE.test(displayName)) {
+        return 'First name mode needs a name using letters only';
+    }
+
+    if (identityMode === 'nickname' && !NICKNAME_RE.test(displayName)) {
+        return 'Nicknames can use letters, numbers, spaces, dots, dashes and underscores';
+    }
+
+    return null;
+};
+
 const PASSWORD_REQUIREMENTS = 'Password must be at least 8 characters with uppercase, lowercase, and number.';
 
 module.exports = {
     validateEmail,
     validatePassword,
     validatePhoneNumber,
+    normalizeDisplayName,
+    validateDisplayName,
     PASSWORD_REQUIREMENTS,
 };
@@ -1,12 +1,19 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
+const jwtKeys = require('../config/jwtKeys');
+const { TOKEN_AUDIENCES, TOKEN_TYPES, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+const { PUBLIC_USER_SELECT, getPublicName, presentUser } = require('../utils/presenters');
+const { getBlockedUserIds, countUnreadMessagesForMembers } = require('../services/roomService');
+const { checkTokenSession } = require('../services/sessionService');
+const { getOnboardingState } = require('../services/onboardingService');
+const { findActiveSubscription } = require('../middleware/subscription');
 
 let io;
 
 /**
- * Initialize Socket.IO server for private 1-on-1 chat
- * Rooms (group chat) are async feed, no WebSocket needed
+ * Initialize Socket.IO server for private 1-on-1 chat and live room feeds.
+ * Rooms (group chat) are posted over REST; subscribed sockets get new
+ * messages and unread counts pushed instead of polling.
  */
 function initChatServer(httpServer) {
     io = new Server(httpServer, {
@@ -27,13 +34,16 @@ function initChatServer(httpServer) {
                 return next(new Error('Authentication token required'));
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            const decoded = jwtKeys.access.verify(token, {
+                audience: TOKEN_AUDIENCES.APP,
+                typ: TOKEN_TYPES.ACCESS,
+            });
             const user = await prisma.user.findUnique({
                 where: { id: decoded.userId },
                 select: {
-                    id: true,
-                    displayName: true,
+                    ...PUBLIC_USER_SELECT,
                     isSuspended: true,
+                    sessionsRevokedAt: true,
                 },
             });
 
@@ -41,8 +51,14 @@ function initChatServer(httpServer) {
                 return next(new Error('Access denied'));
             }
 
+            // Signed-out devices cannot open sockets, same as the REST API
+            const { error: sessionError } = await checkTokenSession(decoded, user);
+            if (sessionError) {
+                return next(new Error(sessionError));
+            }
+
             socket.userId = user.id;
-            socket.displayName = user.displayName;
+            socket.displayName = getPublicName(user);
             next();
         } catch (error) {
             next(new Error('Invalid token'));
@@ -52,6 +68,64 @@ function initChatServer(httpServer) {
     io.on('connection', (socket) => {
         console.log(`🔌 User connected: ${socket.userId}`);
 
+        // Per-user channel for updates that follow the user across rooms (unread counts)
+        socket.join(`user:${socket.userId}`);
+
+        // Subscribe to a group room's live feed
+        // Same gates as the REST feed: onboarding, subscription and membership
+        socket.on('join_room', async ({ roomId } = {}) => {
+            try {
+                if (typeof roomId !== 'string' || !roomId) {
+                    socket.emit('error', { message: 'roomId is required' });
+                    return;
+                }
+
+                const user = await prisma.user.findUnique({
+                    where: { id: socket.userId },
+                    select: {
+                        id: true,
+                        isVerified: true,
+                        agreedToValues: true,
+                        isActive: true,
+                        deletionScheduledFor: true,
+                    },
+                });
+
+                const onboarding = user && !user.deletionScheduledFor
+                    ? await getOnboardingState(user)
+                    : null;
+                if (!onboarding?.isComplete) {
+                    socket.emit('error', { message: 'Account setup incomplete' });
+                    return;
+                }
+
+                if (!(await findActiveSubscription(socket.userId))) {
+                    socket.emit('error', { message: 'Active subscription required' });
+                    return;
+                }
+
+                const membership = await prisma.roomMember.findFirst({
+                    where: { roomId, userId: socket.userId, room: { isActive: true } },
+                });
+
+                if (!membership) {
+                    socket.emit('error', { message: 'Join this room first' });
+                    return;
+                }
+
+                socket.join(`room:${roomId}`);
+                socket.emit('joined_room', { roomId });
+            } catch (error) {
+                socket.emit('error', { message: 'Failed to join room' });
+            }
+        });
+
+        // Stop receiving a room's live feed (membership is unchanged)
+        socket.on('leave_room', ({ roomId } = {}) => {
+            socket.leave(`room:${roomId}`);
+            socket.emit('left_room', { roomId });
+        });
+
         // Join a private match room
         socket.on('join_match', async ({ matchId }) => {
             try {
@@ -113,14 +187,12 @@ function initChatServer(httpServer) {
                         id: true,
                         messageText: true,
                         createdAt: true,
-                        sender: {
-                            select: { id: true, displayName: true },
-                        },
+                        sender: { select: PUBLIC_USER_SELECT },
                     },
                 });
 
                 // Broadcast to both users in the match room
-                io.to(`match:${matchId}`).emit('new_message', message);
+                io.to(`match:${matchId}`).emit('new_message', { ...message, sender: presentUser(message.sender) });
 
                 // Send push notification to other user if offline
                 const otherUserId = match.userOneId === socket.userId
@@ -135,6 +207,7 @@ function initChatServer(httpServer) {
                     // Queue push notification (handled by notification service)
                     const { sendPushNotification } = require('../services/notificationService');
                     await sendPushNotification(otherUserId, {
+                        category: NOTIFICATION_CATEGORIES.DIRECT_MESSAGES,
                         title: 'New message',
                         body: 'Someone sent you a message',
                         data: { type: 'private_message', matchId },
@@ -200,9 +273,67 @@ function initChatServer(httpServer) {
     return io;
 }
 
+/**
+ * Push a new room message to sockets subscribed to the room and refresh the
+ * unread counts of other connected members. Anyone with a block either way
+ * with the sender gets neither, matching the REST feed.
+ */
+async function broadcastRoomMessage(roomId, message) {
+    if (!io) return;
+
+    const senderId = message.sender.id;
+    const [sockets, senderBlockedIds] = await Promise.all([
+        io.in(`room:${roomId}`).fetchSockets(),
+        getBlockedUserIds(senderId).then((ids) => new Set(ids)),
+    ]);
+
+    for (const s of sockets) {
+        if (!senderBlockedIds.has(s.userId)) {
+            s.emit('room_message', { roomId, message });
+        }
+    }
+
+    // Unread counts only for members with a connected device who can see the sender
+    const members = await prisma.roomMember.findMany({
+        where: { roomId, userId: { not: senderId } },
+        select: { userId: true },
+    });
+    const { rooms } = io.of('/').adapter;
+    const onlineIds = members
+        .map((m) => m.userId)
+        .filter((id) => rooms.has(`user:${id}`) && !senderBlockedIds.has(id));
+
+    const unreadCounts = await countUnreadMessagesForMembers(roomId, onlineIds);
+    for (const [userId, unreadCount] of unreadCounts) {
+        sendRoomUnreadCount(userId, roomId, unreadCount);
+    }
+}
+
+/**
+ * Tell all of a user's connected devices their unread count for a room
+ */
+function sendRoomUnreadCount(userId, roomId, unreadCount) {
+    if (!io) return;
+    io.to(`user:${userId}`).emit('room_unread', { roomId, unreadCount });
+}
+
+/**
+ * Unsubscribe all of a user's sockets from a room, e.g. after they leave it
+ */
+function removeFromRoomFeed(userId, roomId) {
+    if (!io) return;
+    io.in(`user:${userId}`).socketsLeave(`room:${roomId}`);
+}
+
 function getIO() {
     if (!io) throw new Error('Socket.IO not initialized');
     return io;
 }
 
-module.exports = { initChatServer, getIO };
+module.exports = {
+    initChatServer,
+    getIO,
+    broadcastRoomMessage,
+    sendRoomUnreadCount,
+    removeFromRoomFeed,
+};
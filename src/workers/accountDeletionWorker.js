@@ -0,0 +1,53 @@
+const prisma = require('../config/database');
+const { purgeAccount } = require('../services/accountDeletionService');
+
+/**
+ * Account Deletion Worker
+ * Purges accounts whose deletion grace period has ended
+ */
+async function purgeScheduledDeletions() {
+    try {
+        const due = await prisma.user.findMany({
+            where: { deletionScheduledFor: { lte: new Date() } },
+            select: { id: true },
+        });
+
+        let purged = 0;
+        let deferred = 0;
+
+        for (const user of due) {
+            try {
+                const result = await purgeAccount(user.id);
+                if (result.purged) purged++;
+                if (result.deferred) deferred++;
+            } catch (error) {
+                console.error(`Account purge failed for ${user.id}:`, error.message);
+            }
+        }
+
+        if (purged > 0) {
+            console.log(`🧹 Purged ${purged} deleted accounts`);
+        }
+        if (deferred > 0) {
+            console.log(`🧹 Deferred ${deferred} account deletions until open reports are resolved`);
+        }
+    } catch (error) {
+        console.error('Account deletion worker error:', error);
+    }
+}
+
+/**
+ * Start the account deletion worker
+ * Runs every hour
+ */
+function startAccountDeletionWorker() {
+    console.log('🧹 Account deletion worker started');
+
+    // Run immediately once
+    purgeScheduledDeletions();
+
+    // Then every hour
+    setInterval(purgeScheduledDeletions, 60 * 60 * 1000);
+}
+
+module.exports = { startAccountDeletionWorker, purgeScheduledDeletions };
@@ -0,0 +1,134 @@
+const prisma = require('../config/database');
+const { buildExportArchive, createDownloadUrl, deleteExportFile } = require('../services/dataExportService');
+const { sendPushNotification } = require('../services/notificationService');
+const { sendDataExportReadyEmail } = require('../services/mailService');
+const { DATA_EXPORT, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+
+let isRunning = false;
+
+/**
+ * Data Export Worker
+ * Builds queued exports one at a time and deletes expired archives
+ */
+async function processDataExports() {
+    // A large export can outlast the interval; never run two passes at once
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+        // Requeue jobs left in processing by a worker that died mid-build
+        await prisma.dataExport.updateMany({
+            where: {
+                status: 'processing',
+                startedAt: { lt: new Date(Date.now() - DATA_EXPORT.STALE_PROCESSING_MS) },
+            },
+            data: { status: 'pending', startedAt: null },
+        });
+
+        let dataExport;
+        while ((dataExport = await claimNextExport())) {
+            await runExport(dataExport);
+        }
+
+        await cleanupExpiredExports();
+    } catch (error) {
+        console.error('Data export worker error:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+/**
+ * Claim the oldest pending export (safe with several app instances)
+ */
+async function claimNextExport() {
+    const next = await prisma.dataExport.findFirst({
+        where: { status: 'pending' },
+        orderBy: { createdAt: 'asc' },
+    });
+    if (!next) return null;
+
+    const claimed = await prisma.dataExport.updateMany({
+        where: { id: next.id, status: 'pending' },
+        data: { status: 'processing', startedAt: new Date() },
+    });
+
+    // Another instance got it first; look again
+    return claimed.count === 1 ? next : claimNextExport();
+}
+
+async function runExport(dataExport) {
+    try {
+        const { storageKey, fileSize } = await buildExportArchive(dataExport);
+        const now = new Date();
+
+        const ready = await prisma.dataExport.update({
+            where: { id: dataExport.id },
+            data: {
+                status: 'ready',
+                storageKey,
+                fileSize,
+                completedAt: now,
+                expiresAt: new Date(now.getTime() + DATA_EXPORT.FILE_TTL_MS),
+            },
+            include: { user: { select: { email: true } } },
+        });
+
+        console.log(`📦 Data export ${ready.id} ready (${fileSize} bytes)`);
+
+        await sendPushNotification(ready.userId, {
+            category: NOTIFICATION_CATEGORIES.ACCOUNT,
+            title: 'Your data export is ready',
+            body: 'Open IronRoom to download a copy of your data.',
+            data: { type: 'data_export_ready', exportId: ready.id },
+        });
+
+        if (ready.user.email) {
+            await sendDataExportReadyEmail(ready.user.email, createDownloadUrl(ready));
+        }
+    } catch (error) {
+        console.error(`Data export ${dataExport.id} failed:`, error);
+        await prisma.dataExport.update({
+            where: { id: dataExport.id },
+            data: { status: 'failed', error: error.message.slice(0, 500), completedAt: new Date() },
+        }).catch(() => {}); // Export row is gone if the user deleted their account
+    }
+}
+
+/**
+ * Delete archives past their retention period
+ */
+async function cleanupExpiredExports() {
+    const expired = await prisma.dataExport.findMany({
+        where: { status: 'ready', expiresAt: { lte: new Date() } },
+        select: { id: true, storageKey: true, filePath: true },
+    });
+
+    for (const dataExport of expired) {
+        await deleteExportFile(dataExport);
+        await prisma.dataExport.update({
+            where: { id: dataExport.id },
+            data: { status: 'expired', storageKey: null, filePath: null },
+        });
+    }
+
+    if (expired.length > 0) {
+        console.log(`📦 Deleted ${expired.length} expired data exports`);
+    }
+}
+
+/**
+ * Start the data export worker
+ * Runs every minute
+ */
+function startDataExportWorker() {
+    console.log('📦 Data export worker started');
+
+    // Run immediately once
+    processDataExports();
+
+    // Then every minute
+    setInterval(processDataExports, 60 * 1000);
+}
+
+module.exports = { startDataExportWorker, processDataExports };
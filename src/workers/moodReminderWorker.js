@@ -0,0 +1,83 @@
+const prisma = require('../config/database');
+const { sendPushNotification } = require('../services/notificationService');
+const { getLocalClock, getLocalDate } = require('../services/quietHoursService');
+const { MOOD, NOTIFICATION_CATEGORIES } = require('../utils/constants');
+
+let isRunning = false;
+
+/**
+ * Mood Reminder Worker
+ * Sends the opt-in daily check-in reminder at each user's chosen local time,
+ * unless they already checked in that day
+ */
+async function sendMoodReminders() {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+        const now = new Date();
+        const users = await prisma.user.findMany({
+            where: { moodReminderMinute: { not: null }, isSuspended: false, deletionScheduledFor: null },
+            select: {
+                id: true,
+                timezone: true,
+                moodReminderMinute: true,
+                moodReminderSentAt: true,
+                moodCheckIns: {
+                    orderBy: { createdAt: 'desc' },
+                    take: 1,
+                    select: { createdAt: true },
+                },
+            },
+        });
+
+        let sent = 0;
+        for (const user of users) {
+            const { minute } = getLocalClock(user.timezone, now);
+            // Wraps past midnight so a late reminder still gets its full window
+            const minutesPast = (minute - user.moodReminderMinute + 1440) % 1440;
+            if (minutesPast >= MOOD.REMINDER_WINDOW_MINUTES) continue;
+
+            // The local day the reminder belongs to, which is yesterday once the window crosses midnight
+            const reminderAt = new Date(now.getTime() - minutesPast * 60 * 1000);
+            const reminderDate = getLocalDate(user.timezone, reminderAt);
+            const isReminderDay = (date) => date && (date >= reminderAt || getLocalDate(user.timezone, date) === reminderDate);
+            if (isReminderDay(user.moodReminderSentAt) || isReminderDay(user.moodCheckIns[0]?.createdAt)) continue;
+
+            // Mark first so a slow push cannot lead to a second reminder
+            await prisma.user.update({ where: { id: user.id }, data: { moodReminderSentAt: now } });
+
+            await sendPushNotification(user.id, {
+                category: NOTIFICATION_CATEGORIES.REMINDERS,
+                title: 'How are you doing today?',
+                body: 'Take a moment to check in with yourself.',
+                data: { type: 'mood_reminder' },
+            });
+            sent++;
+        }
+
+        if (sent > 0) {
+            console.log(`💭 Sent ${sent} mood check-in reminders`);
+        }
+    } catch (error) {
+        console.error('Mood reminder worker error:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+/**
+ * Start the mood reminder worker
+ * Runs every 5 minutes
+ */
+function startMoodReminderWorker() {
+    console.log('💭 Mood reminder worker started');
+
+    // Run immediately once
+    sendMoodReminders();
+
+    // Then every 5 minutes
+    setInterval(sendMoodReminders, 5 * 60 * 1000);
+}
+
+module.exports = { startMoodReminderWorker, sendMoodReminders };
@@ -0,0 +1,123 @@
+const prisma = require('../config/database');
+const { deliverPushNotification, isCategoryEnabled } = require('../services/notificationService');
+const { getUserQuietHoursEnd } = require('../services/quietHoursService');
+
+let isRunning = false;
+
+// Singular/plural wording per category for the summary body
+const SUMMARY_LABELS = {
+    matches: ['match update', 'match updates'],
+    mentions: ['mention', 'mentions'],
+    direct_messages: ['message', 'messages'],
+    room_activity: ['room update', 'room updates'],
+    announcements: ['announcement', 'announcements'],
+    reminders: ['reminder', 'reminders'],
+};
+
+/**
+ * Notification Summary Worker
+ * Sends the pushes held during quiet hours once a user's window has ended
+ */
+async function sendNotificationSummaries() {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+        const due = await prisma.deferredNotification.findMany({
+            where: { deliverAfter: { lte: new Date() } },
+            distinct: ['userId'],
+            select: { userId: true },
+        });
+
+        for (const { userId } of due) {
+            await sendSummary(userId);
+        }
+    } catch (error) {
+        console.error('Notification summary worker error:', error);
+    } finally {
+        isRunning = false;
+    }
+}
+
+async function sendSummary(userId) {
+    // Back-to-back windows: hold everything until the next one ends too
+    const quietUntil = await getUserQuietHoursEnd(userId);
+    if (quietUntil) {
+        await prisma.deferredNotification.updateMany({
+            where: { userId },
+            data: { deliverAfter: quietUntil },
+        });
+        return;
+    }
+
+    const held = await prisma.deferredNotification.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    // Claim each row by deleting it; another instance may take some of them,
+    // and only the rows this one removed go into its summary
+    const claimed = [];
+    for (const notification of held) {
+        const { count } = await prisma.deferredNotification.deleteMany({ where: { id: notification.id } });
+        if (count === 1) claimed.push(notification);
+    }
+
+    // Settings may have changed while the pushes were held
+    const categories = [...new Set(claimed.map((n) => n.category))];
+    const enabled = new Set();
+    for (const category of categories) {
+        if (await isCategoryEnabled(userId, category)) enabled.add(category);
+    }
+    const deliverable = claimed.filter((n) => enabled.has(n.category));
+    if (deliverable.length === 0) return;
+
+    if (deliverable.length === 1) {
+        const [notification] = deliverable;
+        await deliverPushNotification(userId, {
+            category: notification.category,
+            title: notification.title,
+            body: notification.body,
+            data: notification.data || undefined,
+        });
+        return;
+    }
+
+    const counts = {};
+    deliverable.forEach((n) => { counts[n.category] = (counts[n.category] || 0) + 1; });
+
+    const parts = Object.entries(counts).map(([category, count]) => {
+        const [one, many] = SUMMARY_LABELS[category] || ['notification', 'notifications'];
+        return `${count} ${count === 1 ? one : many}`;
+    });
+    const body = parts.length > 1
+        ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+        : parts[0];
+
+    await deliverPushNotification(userId, {
+        category: 'summary',
+        title: 'While your quiet hours were on',
+        body: `You have ${body}.`,
+        data: {
+            type: 'notification_summary',
+            count: String(deliverable.length),
+            categories: Object.keys(counts).join(','),
+        },
+    });
+}
+
+/**
+ * Start the notification summary worker
+ * Runs every minute
+ */
+function startNotificationSummaryWorker() {
+    console.log('🌙 Notification summary worker started');
+
+    // Run immediately once
+    sendNotificationSummaries();
+
+    // Then every minute
+    setInterval(sendNotificationSummaries, 60 * 1000);
+}
+
+module.exports = { startNotificationSummaryWorker, sendNotificationSummaries };
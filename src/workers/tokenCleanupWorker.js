@@ -0,0 +1,39 @@
+const prisma = require('../config/database');
+
+/**
+ * Token Cleanup Worker
+ * Deletes expired refresh tokens and email verification/reset tokens
+ */
+async function cleanupExpiredTokens() {
+    try {
+        const now = new Date();
+
+        const [refreshTokens, verificationTokens] = await prisma.$transaction([
+            prisma.refreshToken.deleteMany({ where: { expiresAt: { lte: now } } }),
+            prisma.verificationToken.deleteMany({ where: { expiresAt: { lte: now } } }),
+        ]);
+
+        const total = refreshTokens.count + verificationTokens.count;
+        if (total > 0) {
+            console.log(`🔑 Deleted ${total} expired tokens`);
+        }
+    } catch (error) {
+        console.error('Token cleanup error:', error);
+    }
+}
+
+/**
+ * Start the token cleanup worker
+ * Runs every 6 hours
+ */
+function startTokenCleanupWorker() {
+    console.log('🔑 Token cleanup worker started');
+
+    // Run immediately once
+    cleanupExpiredTokens();
+
+    // Then every 6 hours
+    setInterval(cleanupExpiredTokens, 6 * 60 * 60 * 1000);
+}
+
+module.exports = { startTokenCleanupWorker, cleanupExpiredTokens };